@@ -0,0 +1,435 @@
+//The game rules, on their own
+//Everything in here is plain functions and constants: no sockets, no players table, no disk, no timers of its own.
+//server.js pulls it all in and does the networking around it, and the tests (test/) can require it directly without
+//starting anything up
+//
+//- _Clock_: where "now" and timers come from, so tests can swap in a clock they move forward by hand
+//- _Rulesets_: move sets, match length options, match modes and buildRuleset
+//- _Rounds_: who wins a round, and the commit-reveal hash
+//- _Party modes_: scoring for matches with more than two players
+//- _Ratings_: Elo
+//- _Move stats_: running totals of what people throw and how it goes for them
+//- _Brackets_: tournament bracket layout
+
+const crypto = require('crypto');
+
+//_Clock_
+
+//systemClock:
+//- The real thing, and what server.js uses unless startServer is handed something else
+//- Anything passed instead needs the same five functions. Timer handles only ever go back into its own clear functions,
+//  so they can be whatever that clock likes
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: timer => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: timer => clearInterval(timer)
+};
+
+//_Rulesets_
+
+//Match config
+//These constants are the defaults for pacing (round lengths) and win condition. Each match actually runs off its own
+//ruleset (below), which starts from these unless the players asked for something else
+const ROUND_TIME_LIMIT = 30000;
+const WINS_TO_TAKE_MATCH = 3;
+
+//Built-in rulesets
+//A ruleset is the move list plus the "beats" graph: beats[move] lists every move that `move` defeats. Anything not in
+//either direction is a tie, so the same winner function works for plain RPS and bigger variants alike
+const RULESETS = {
+  classic: {
+    id: 'classic',
+    name: 'Rock-Paper-Scissors',
+    moves: ['rock', 'paper', 'scissors'],
+    beats: {
+      rock: ['scissors'],
+      paper: ['rock'],
+      scissors: ['paper']
+    }
+  },
+  rpsls: {
+    id: 'rpsls',
+    name: 'Rock-Paper-Scissors-Lizard-Spock',
+    moves: ['rock', 'paper', 'scissors', 'lizard', 'spock'],
+    beats: {
+      rock: ['scissors', 'lizard'],
+      paper: ['rock', 'spock'],
+      scissors: ['paper', 'lizard'],
+      lizard: ['spock', 'paper'],
+      spock: ['scissors', 'rock']
+    }
+  }
+};
+const DEFAULT_RULESET_ID = 'classic';
+
+//What players are allowed to pick on top of the move set: match length (best-of-N, always odd so there's no draw) and
+//round timer length
+const BEST_OF_OPTIONS = [1, 3, 5, 7, 9];
+const ROUND_SECONDS_OPTIONS = [10, 15, 30, 45, 60];
+
+//Match modes: 'duel' is the classic one-on-one. The other two are party modes (see _Party modes_):
+//- 'ffa': free-for-all between FFA_SIZE_OPTIONS players
+//- 'teams': two teams of TEAM_SIZE
+const MATCH_MODES = ['duel', 'ffa', 'teams'];
+const FFA_SIZE_OPTIONS = [3, 4, 5, 6];
+const TEAM_SIZE = 2;
+
+//buildRuleset:
+//- Turns whatever a client asked for ({ id, bestOf, roundSeconds }) into a complete, validated ruleset object
+//- Unknown ids or out-of-range values quietly fall back to the defaults instead of being trusted
+//- key is a short string that is identical for identical rulesets, which is what matchmaking compares
+//- commitReveal turns on the commit-reveal move protocol (see REVEAL_TIME_MS in server.js). Duels only
+//- mode and playerCount say how many people play and how (see MATCH_MODES); playerCount only matters for 'ffa', the
+//  other two have a fixed size
+function buildRuleset(options) {
+  const opts = options || {};
+  const base = RULESETS[opts.id] || RULESETS[DEFAULT_RULESET_ID];
+  const defaultBestOf = WINS_TO_TAKE_MATCH * 2 - 1;
+  const bestOf = BEST_OF_OPTIONS.includes(Number(opts.bestOf)) ? Number(opts.bestOf) : defaultBestOf;
+  const roundSeconds = ROUND_SECONDS_OPTIONS.includes(Number(opts.roundSeconds))
+    ? Number(opts.roundSeconds)
+    : ROUND_TIME_LIMIT / 1000;
+  const mode = MATCH_MODES.includes(opts.mode) ? opts.mode : 'duel';
+  let playerCount = 2;
+  if (mode === 'teams') playerCount = TEAM_SIZE * 2;
+  else if (mode === 'ffa') playerCount = FFA_SIZE_OPTIONS.includes(Number(opts.playerCount)) ? Number(opts.playerCount) : 4;
+  const commitReveal = opts.commitReveal === true && mode === 'duel';
+
+  return {
+    id: base.id,
+    name: base.name,
+    moves: base.moves.slice(),
+    beats: base.beats,
+    bestOf,
+    winsToTakeMatch: Math.ceil(bestOf / 2),
+    roundTimeMs: roundSeconds * 1000,
+    commitReveal,
+    mode,
+    playerCount,
+    key: `${base.id}:bo${bestOf}:${roundSeconds}s${commitReveal ? ':cr' : ''}${mode === 'duel' ? '' : `:${mode}${playerCount}`}`
+  };
+}
+
+//_Rounds_
+
+//Round reasons that end the whole match in favour of whoever didn't cause them
+const FORFEIT_REASONS = ['disconnect', 'forfeit', 'bad_reveal', 'no_reveal'];
+
+//rpsWinner:
+//- Pure function that compares two moves and returns. 'A' if player A wins, 'B' if player B wins, or 'tie'.
+//- Server uses this to decide round results when both players submitted moves.
+//- The ruleset's beats graph decides who wins, so this works for any move set (it defaults to classic RPS).
+//- Keeping this isolated makes it easier to test or tweak later.
+function rpsWinner(moveA, moveB, ruleset = RULESETS[DEFAULT_RULESET_ID]) {
+  if (moveA === moveB) return 'tie';
+  if ((ruleset.beats[moveA] || []).includes(moveB)) return 'A';
+  if ((ruleset.beats[moveB] || []).includes(moveA)) return 'B';
+  return 'tie';
+}
+
+//roundWinner:
+//- Which of the match's two players takes the round, or null for a tie. Doesn't touch the match
+//- 'moves' goes by the ruleset, 'timeout' goes to whoever moved, and a forfeit reason goes to whoever isn't leaverId
+//  (or, with no leaverId, to whoever isStillHere says is still around)
+//- Anything else ('idle' for one) is a tie
+function roundWinner(match, reason, leaverId = null, isStillHere = () => true) {
+  const [idA, idB] = match.players;
+  const moveA = match.moves[idA];
+  const moveB = match.moves[idB];
+
+  if (reason === 'moves') {
+    const result = rpsWinner(moveA, moveB, match.ruleset);
+    if (result === 'A') return idA;
+    if (result === 'B') return idB;
+    return null;
+  }
+  if (reason === 'timeout') {
+    if (moveA && !moveB) return idA;
+    if (!moveA && moveB) return idB;
+    return null;
+  }
+  if (FORFEIT_REASONS.includes(reason)) {
+    if (leaverId && (leaverId === idA || leaverId === idB)) return leaverId === idA ? idB : idA;
+    if (!isStillHere(idA)) return idB;
+    if (!isStillHere(idB)) return idA;
+  }
+  return null;
+}
+
+//hashCommitment:
+//- The one and only commitment format, shared with the client: sha256 of matchId|round|move|salt, as hex
+//- Tying in the match id and round means a commitment can't be replayed into a different round
+function hashCommitment(matchId, round, move, salt) {
+  return crypto.createHash('sha256').update(`${matchId}|${round}|${move}|${salt}`).digest('hex');
+}
+
+//_Party modes_
+//Matches with more than two players. Everyone still picks one move per round, and:
+//- ffa: every move scores a point for each opponent's move it beats (and moving at all beats not moving). Whoever
+//  scored the most takes the round, unless everyone scored the same. After bestOf rounds the outright points leader
+//  wins; if it's level at the top, it keeps going a round at a time until it isn't
+//- teams: teammates' moves are pooled. Every move on one side is played against every move on the other, and the side
+//  that wins more of those match-ups takes the round (a point each). First team to winsToTakeMatch rounds wins
+//match.teams maps each player to team 0 or 1, and match.out lists anyone who left (they're skipped from then on)
+
+//playersInPlay:
+//- Everyone in the match who hasn't left it
+function playersInPlay(match) {
+  return match.players.filter(pid => !(match.out && match.out[pid]));
+}
+
+//scorePartyRound:
+//- Party modes' version of roundWinner. Returns { points, winners }: what each player scores this round, and whoever
+//  took the round (empty for a tie). Doesn't touch the match
+function scorePartyRound(match) {
+  const inPlay = playersInPlay(match);
+  const beatsHowMany = (pid, opponents) => {
+    const move = match.moves[pid];
+    if (!move) return 0;
+    return opponents.filter(o => !match.moves[o] || rpsWinner(move, match.moves[o], match.ruleset) === 'A').length;
+  };
+  const points = {};
+  match.players.forEach(pid => { points[pid] = 0; });
+
+  if (match.ruleset.mode === 'teams') {
+    const sides = [0, 1].map(team => inPlay.filter(pid => match.teams[pid] === team));
+    const won = sides.map((side, team) => side.reduce((sum, pid) => sum + beatsHowMany(pid, sides[1 - team]), 0));
+    if (won[0] === won[1]) return { points, winners: [] };
+    const winners = sides[won[0] > won[1] ? 0 : 1];
+    winners.forEach(pid => { points[pid] = 1; });
+    return { points, winners };
+  }
+
+  inPlay.forEach(pid => { points[pid] = beatsHowMany(pid, inPlay.filter(o => o !== pid)); });
+  const best = Math.max(...inPlay.map(pid => points[pid]));
+  const winners = inPlay.filter(pid => points[pid] === best);
+  return { points, winners: best > 0 && winners.length < inPlay.length ? winners : [] };
+}
+
+//partyMatchWinner:
+//- Who has won a party match with the scores as they stand, or null if it isn't over. For teams it's either member
+//  of the winning team (match.teams says who the other one is)
+//- Someone left standing alone wins outright: the last player in a free-for-all, or the only team with anyone left
+function partyMatchWinner(match) {
+  const inPlay = playersInPlay(match);
+  const score = pid => match.scores[pid] || 0;
+
+  if (match.ruleset.mode === 'teams') {
+    const teamsLeft = [...new Set(inPlay.map(pid => match.teams[pid]))];
+    if (teamsLeft.length === 1) return inPlay[0];
+    return inPlay.find(pid => score(pid) >= match.ruleset.winsToTakeMatch) || null;
+  }
+
+  if (inPlay.length === 1) return inPlay[0];
+  if (match.round < match.ruleset.bestOf) return null;
+  const best = Math.max(...inPlay.map(score));
+  const leaders = inPlay.filter(pid => score(pid) === best);
+  return leaders.length === 1 ? leaders[0] : null;
+}
+
+//_Ratings_
+//Ratings are plain Elo: everyone starts at RATING_DEFAULT and RATING_K_FACTOR caps how far one match can move you
+const RATING_DEFAULT = 1200;
+const RATING_K_FACTOR = 32;
+
+//eloExpected:
+//- Standard Elo expected score (0..1) for a player rated `rating` against an opponent rated `opponentRating`
+function eloExpected(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+//ratingDeltas:
+//- How much each side's rating moves after a game, as [deltaA, deltaB]. scoreA is 1 if A won and 0 if B did
+//- Both are worked out from the ratings before either one changes
+function ratingDeltas(ratingA, ratingB, scoreA) {
+  return [
+    Math.round(RATING_K_FACTOR * (scoreA - eloExpected(ratingA, ratingB))),
+    Math.round(RATING_K_FACTOR * ((1 - scoreA) - eloExpected(ratingB, ratingA)))
+  ];
+}
+
+//_Move stats_
+//How people actually play: what they throw, how each move does, what they go for right after winning, losing or tying
+//a round, and how long they take to pick. server.js keeps one set of these totals for everyone together and one per
+//profile, and adds every finished round to the right ones
+
+//emptyMoveStats:
+//- Fresh totals. Moves get added the first time they're seen, so any ruleset's moves fit
+function emptyMoveStats() {
+  return {
+    moves: {}, //move -> { thrown, win, loss, tie }
+    after: { win: {}, loss: {}, tie: {} }, //how the previous round went -> move -> times it was thrown next
+    responseMs: { total: 0, count: 0 } //time from the round starting to the move coming in
+  };
+}
+
+//roundOutcome:
+//- 'win' | 'loss' | 'tie' for whoever sat in `seat`, or null when the round wasn't everyone moving (a timeout or a
+//  forfeit says nothing about how a move does)
+//- Party rounds can have several winners, in winnerSeats (see _Party modes_)
+function roundOutcome(round, seat) {
+  if (round.reason !== 'moves') return null;
+  const winnerSeats = round.winnerSeats || (round.winnerSeat == null ? [] : [round.winnerSeat]);
+  if (!winnerSeats.length) return 'tie';
+  return winnerSeats.includes(seat) ? 'win' : 'loss';
+}
+
+//addRoundToMoveStats:
+//- Counts one seat's part in one round of a match's round log (see resolveRound in server.js). previousRound is the
+//  round before it in the same match, or null for the first one
+//- Returns stats, which it changes in place
+function addRoundToMoveStats(stats, round, previousRound, seat) {
+  const move = round.moves[seat];
+  if (!move) return stats;
+
+  const tally = stats.moves[move] || (stats.moves[move] = { thrown: 0, win: 0, loss: 0, tie: 0 });
+  tally.thrown++;
+  const outcome = roundOutcome(round, seat);
+  if (outcome) tally[outcome]++;
+
+  const before = previousRound && previousRound.moves[seat] ? roundOutcome(previousRound, seat) : null;
+  if (before) stats.after[before][move] = (stats.after[before][move] || 0) + 1;
+
+  const ms = round.responseMs ? round.responseMs[seat] : null;
+  if (typeof ms === 'number') {
+    stats.responseMs.total += ms;
+    stats.responseMs.count++;
+  }
+  return stats;
+}
+
+//summarizeMoveStats:
+//- The totals plus the numbers people actually want, for the REST API: each move's share of everything thrown and its
+//  win rate (wins out of rounds where both moved), the same shares for what came after a win/loss/tie, and the average
+//  response time. Rates are 0..1 to three places, or null when there's nothing to divide by
+function summarizeMoveStats(stats) {
+  const rate = (n, total) => (total ? Math.round((n / total) * 1000) / 1000 : null);
+  const shares = counts => {
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    const moves = {};
+    Object.entries(counts).forEach(([move, count]) => { moves[move] = { count, share: rate(count, total) }; });
+    return { total, moves };
+  };
+
+  const thrown = {};
+  Object.entries(stats.moves).forEach(([move, t]) => { thrown[move] = t.thrown; });
+  const { total: rounds, moves: thrownShares } = shares(thrown);
+  const moves = {};
+  Object.entries(stats.moves).forEach(([move, t]) => {
+    moves[move] = Object.assign({}, t, { share: thrownShares[move].share, winRate: rate(t.win, t.win + t.loss + t.tie) });
+  });
+
+  const { total, count } = stats.responseMs;
+  return {
+    rounds,
+    moves,
+    after: { win: shares(stats.after.win), loss: shares(stats.after.loss), tie: shares(stats.after.tie) },
+    avgResponseMs: count ? Math.round(total / count) : null
+  };
+}
+
+//_Brackets_
+//A tournament is a fixed bracket of "tournament matches" (tm for short). Each tm has two slots that are either filled
+//at the start (round one of the winners bracket) or fed by another tm's winner or loser. Running the bracket is
+//server.js's job (see _Tournaments_ there); this is just the layout
+
+//seedPositions:
+//- Bracket order for seeds so the top seeds meet as late as possible: 4 -> [1, 4, 2, 3], 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+function seedPositions(size) {
+  let order = [1];
+  while (order.length < size) {
+    const next = [];
+    const total = order.length * 2 + 1;
+    order.forEach(seed => next.push(seed, total - seed));
+    order = next;
+  }
+  return order;
+}
+
+//buildBracket:
+//- Lays out every tournament match up front from the seeded entrants
+function buildBracket(tournament) {
+  const n = tournament.entrants.length;
+  const rounds = Math.max(1, Math.ceil(Math.log2(n)));
+  const size = 2 ** rounds;
+  const bracket = {};
+  const bySeed = {};
+  tournament.entrants.forEach(e => { bySeed[e.seed] = e.profileId; });
+
+  const addMatch = (id, bracketName, round, slot, slots) => {
+    bracket[id] = {
+      id, bracket: bracketName, round, slot, slots,
+      status: 'pending', readyAt: null, matchId: null, winner: undefined, loser: undefined, reason: null
+    };
+  };
+  const fixed = profileId => ({ source: null, value: profileId || null });
+  const fed = (from, take) => ({ source: { from, take }, value: undefined });
+
+  //Winners bracket
+  const order = seedPositions(size);
+  for (let s = 0; s < size / 2; s++) {
+    addMatch(`W1-${s}`, 'W', 1, s, [fixed(bySeed[order[s * 2]]), fixed(bySeed[order[s * 2 + 1]])]);
+  }
+  for (let r = 2; r <= rounds; r++) {
+    for (let s = 0; s < size / 2 ** r; s++) {
+      addMatch(`W${r}-${s}`, 'W', r, s, [fed(`W${r - 1}-${s * 2}`, 'winner'), fed(`W${r - 1}-${s * 2 + 1}`, 'winner')]);
+    }
+  }
+  tournament.finalId = `W${rounds}-0`;
+  if (tournament.format !== 'double') return bracket;
+
+  //Losers bracket: for each winners round after the first, a "minor" round that pairs up whoever is left in the losers
+  //bracket, then a "major" round where they meet the players just knocked down from that winners round
+  let lbFinal = null;
+  for (let j = 1; j < rounds; j++) {
+    const count = size / 2 ** (j + 1);
+    const minor = 2 * j - 1;
+    const major = 2 * j;
+    for (let s = 0; s < count; s++) {
+      const sources = j === 1
+        ? [fed(`W1-${s * 2}`, 'loser'), fed(`W1-${s * 2 + 1}`, 'loser')]
+        : [fed(`L${minor - 1}-${s * 2}`, 'winner'), fed(`L${minor - 1}-${s * 2 + 1}`, 'winner')];
+      addMatch(`L${minor}-${s}`, 'L', minor, s, sources);
+    }
+    for (let s = 0; s < count; s++) {
+      //Drop-downs come in reversed so people don't immediately replay someone they just met
+      addMatch(`L${major}-${s}`, 'L', major, s, [fed(`L${minor}-${s}`, 'winner'), fed(`W${j + 1}-${count - 1 - s}`, 'loser')]);
+    }
+    lbFinal = `L${major}-0`;
+  }
+  addMatch('GF', 'GF', rounds + 1, 0, [fed(`W${rounds}-0`, 'winner'), lbFinal ? fed(lbFinal, 'winner') : fed('W1-0', 'loser')]);
+  tournament.finalId = 'GF';
+  return bracket;
+}
+
+module.exports = {
+  systemClock,
+  ROUND_TIME_LIMIT,
+  WINS_TO_TAKE_MATCH,
+  RULESETS,
+  DEFAULT_RULESET_ID,
+  BEST_OF_OPTIONS,
+  ROUND_SECONDS_OPTIONS,
+  MATCH_MODES,
+  FFA_SIZE_OPTIONS,
+  TEAM_SIZE,
+  buildRuleset,
+  FORFEIT_REASONS,
+  rpsWinner,
+  roundWinner,
+  playersInPlay,
+  scorePartyRound,
+  partyMatchWinner,
+  hashCommitment,
+  RATING_DEFAULT,
+  RATING_K_FACTOR,
+  eloExpected,
+  ratingDeltas,
+  emptyMoveStats,
+  addRoundToMoveStats,
+  summarizeMoveStats,
+  seedPositions,
+  buildBracket
+};
@@ -0,0 +1,208 @@
+//A tiny in-memory stand-in for Redis, for trying multiple server processes on one machine without installing Redis
+//It speaks just enough of the Redis protocol for storage.js: strings with expiry, hashes, lists, MULTI/EXEC and pub/sub
+//It is NOT a database (nothing is saved, there are no limits) so never point a real deployment at it
+//
+//Usage:
+//  node redis-stand-in.js 6390
+//  REDIS_URL=redis://localhost:6390 PORT=3001 node server.js
+//  REDIS_URL=redis://localhost:6390 PORT=3002 node server.js
+
+const net = require('net');
+
+//startRedisStandIn:
+//- Starts listening on `port` and resolves with the net.Server once it is ready
+function startRedisStandIn(port) {
+  const strings = {}; //key -> { value, expiresAt }
+  const hashes = {}; //key -> { field: value }
+  const lists = {}; //key -> [value]
+  const subscribers = {}; //channel -> Set of connections
+
+  //Replies, in the Redis wire format
+  const simple = text => `+${text}\r\n`;
+  const error = text => `-ERR ${text}\r\n`;
+  const integer = n => `:${n}\r\n`;
+  const bulk = value => (value == null ? '$-1\r\n' : `$${Buffer.byteLength(String(value))}\r\n${value}\r\n`);
+  const array = items => `*${items.length}\r\n${items.join('')}`;
+
+  //liveString: a string key, or undefined once it has expired
+  const liveString = key => {
+    const entry = strings[key];
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) delete strings[key];
+    return strings[key];
+  };
+
+  //run: one command, returns the encoded reply
+  const run = (conn, [name = '', ...args]) => {
+    switch (name.toUpperCase()) {
+      case 'PING': return simple('PONG');
+      case 'INFO': return bulk('# Server\r\nredis_version:6.0.0\r\nloading:0\r\n');
+      case 'SELECT': case 'CLIENT': return simple('OK');
+      case 'QUIT': conn.end(simple('OK')); return '';
+      case 'GET': {
+        const entry = liveString(args[0]);
+        return bulk(entry ? entry.value : null);
+      }
+      case 'SET': {
+        const [key, value, ...options] = args;
+        const upper = options.map(o => String(o).toUpperCase());
+        const exists = !!liveString(key) || !!hashes[key] || !!lists[key];
+        if ((upper.includes('NX') && exists) || (upper.includes('XX') && !exists)) return bulk(null);
+        const px = upper.indexOf('PX');
+        const ex = upper.indexOf('EX');
+        let expiresAt = null;
+        if (px >= 0) expiresAt = Date.now() + Number(options[px + 1]);
+        if (ex >= 0) expiresAt = Date.now() + Number(options[ex + 1]) * 1000;
+        delete hashes[key];
+        delete lists[key];
+        strings[key] = { value, expiresAt };
+        return simple('OK');
+      }
+      case 'PEXPIRE': {
+        const entry = liveString(args[0]);
+        if (!entry) return integer(0);
+        entry.expiresAt = Date.now() + Number(args[1]);
+        return integer(1);
+      }
+      case 'DEL': {
+        let removed = 0;
+        args.forEach(key => {
+          if (liveString(key) || hashes[key] || lists[key]) removed++;
+          delete strings[key];
+          delete hashes[key];
+          delete lists[key];
+        });
+        return integer(removed);
+      }
+      case 'HSET': {
+        const [key, ...pairs] = args;
+        const hash = hashes[key] = hashes[key] || {};
+        let added = 0;
+        for (let i = 0; i + 1 < pairs.length; i += 2) {
+          if (!(pairs[i] in hash)) added++;
+          hash[pairs[i]] = pairs[i + 1];
+        }
+        return integer(added);
+      }
+      case 'HDEL': {
+        const [key, ...fields] = args;
+        const hash = hashes[key] || {};
+        const removed = fields.filter(field => field in hash);
+        removed.forEach(field => { delete hash[field]; });
+        return integer(removed.length);
+      }
+      case 'HGET': return bulk(hashes[args[0]] ? hashes[args[0]][args[1]] : null);
+      case 'HGETALL': {
+        const hash = hashes[args[0]] || {};
+        return array(Object.entries(hash).flat().map(bulk));
+      }
+      case 'RPUSH': {
+        const [key, ...values] = args;
+        const list = lists[key] = lists[key] || [];
+        list.push(...values);
+        return integer(list.length);
+      }
+      case 'LRANGE': {
+        const list = lists[args[0]] || [];
+        const start = Number(args[1]);
+        const stop = Number(args[2]);
+        return array(list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1).map(bulk));
+      }
+      case 'PUBLISH': {
+        const [channel, message] = args;
+        const listeners = subscribers[channel] || new Set();
+        listeners.forEach(other => other.write(array([bulk('message'), bulk(channel), bulk(message)])));
+        return integer(listeners.size);
+      }
+      case 'SUBSCRIBE': {
+        return args.map(channel => {
+          (subscribers[channel] = subscribers[channel] || new Set()).add(conn);
+          conn.channels.add(channel);
+          return array([bulk('subscribe'), bulk(channel), integer(conn.channels.size)]);
+        }).join('');
+      }
+      default: return error(`unknown command '${name}'`);
+    }
+  };
+
+  //parse: pulls complete commands (arrays of bulk strings) off the front of the buffer
+  const parse = buffer => {
+    const commands = [];
+    let pos = 0;
+    const readLine = () => {
+      const end = buffer.indexOf('\r\n', pos);
+      if (end < 0) return null;
+      const line = buffer.toString('utf8', pos, end);
+      pos = end + 2;
+      return line;
+    };
+    while (pos < buffer.length) {
+      const start = pos;
+      const header = readLine();
+      if (header == null) break;
+      if (header[0] !== '*') {
+        //Inline command (someone typing into telnet)
+        commands.push(header.trim().split(/\s+/));
+        continue;
+      }
+      const count = Number(header.slice(1));
+      const parts = [];
+      let complete = true;
+      for (let i = 0; i < count; i++) {
+        const lenLine = readLine();
+        if (lenLine == null) { complete = false; break; }
+        const len = Number(lenLine.slice(1));
+        if (pos + len + 2 > buffer.length) { complete = false; break; }
+        parts.push(buffer.toString('utf8', pos, pos + len));
+        pos += len + 2;
+      }
+      if (!complete) {
+        pos = start;
+        break;
+      }
+      commands.push(parts);
+    }
+    return { commands, rest: buffer.slice(pos) };
+  };
+
+  const server = net.createServer(conn => {
+    let buffer = Buffer.alloc(0);
+    let queued = null; //commands waiting for EXEC while inside MULTI
+    conn.channels = new Set();
+
+    conn.on('data', chunk => {
+      const { commands, rest } = parse(Buffer.concat([buffer, chunk]));
+      buffer = rest;
+      commands.forEach(command => {
+        const name = (command[0] || '').toUpperCase();
+        if (name === 'MULTI') {
+          queued = [];
+          conn.write(simple('OK'));
+        } else if (name === 'EXEC') {
+          const replies = (queued || []).map(queuedCommand => run(conn, queuedCommand));
+          queued = null;
+          conn.write(array(replies));
+        } else if (name === 'DISCARD') {
+          queued = null;
+          conn.write(simple('OK'));
+        } else if (queued) {
+          queued.push(command);
+          conn.write(simple('QUEUED'));
+        } else {
+          const reply = run(conn, command);
+          if (reply) conn.write(reply);
+        }
+      });
+    });
+    conn.on('close', () => conn.channels.forEach(channel => subscribers[channel].delete(conn)));
+    conn.on('error', () => {});
+  });
+
+  return new Promise(resolve => server.listen(port, () => resolve(server)));
+}
+
+module.exports = { startRedisStandIn };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 6379;
+  startRedisStandIn(port).then(() => console.log(`Redis stand-in listening on ${port}`));
+}
@@ -11,7 +11,34 @@
 
 const express = require('express');
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const socketIO = require('socket.io');
+const Adapter = require('socket.io-adapter');
+const { createMemoryStorage, createRedisStorage } = require('./storage');
+const {
+  systemClock,
+  RULESETS,
+  DEFAULT_RULESET_ID,
+  BEST_OF_OPTIONS,
+  ROUND_SECONDS_OPTIONS,
+  buildRuleset,
+  FORFEIT_REASONS,
+  roundWinner,
+  MATCH_MODES,
+  FFA_SIZE_OPTIONS,
+  playersInPlay,
+  scorePartyRound,
+  partyMatchWinner,
+  hashCommitment,
+  RATING_DEFAULT,
+  ratingDeltas,
+  emptyMoveStats,
+  addRoundToMoveStats,
+  summarizeMoveStats,
+  buildBracket
+} = require('./engine');
 
 //Node will use the PORT environment variable if we’re deployed somewhere, otherwise fall back to running on localhost:3000 
 //for development
@@ -22,6 +49,24 @@ const server = http.createServer(app);
 //Attaches socket.io to the HTTP server, so websockets are served on the same port
 const io = socketIO(server);
 
+//Shared storage for running several copies of this server side by side (see _Scaling_ and storage.js). Point every
+//process at the same REDIS_URL; without it we're a single process with an in-memory storage
+const REDIS_URL = process.env.REDIS_URL || '';
+const CLUSTERED = !!REDIS_URL;
+const storage = CLUSTERED ? createRedisStorage(REDIS_URL) : createMemoryStorage();
+const INSTANCE_ID = crypto.randomBytes(6).toString('hex');
+
+//Where "now" and every game timer (round clocks, heartbeats, bots, held seats...) come from. It's the real clock unless
+//startServer was handed another one, which is how the tests skip ahead 30 seconds without waiting for them
+let clock = systemClock;
+
+//The persistent store lives under data/ inside this same folder, and it holds every player's secret token, so never let
+//the static handler below hand it out
+app.use('/data', (req, res) => res.sendStatus(404));
+
+//Same idea for the admin page: it's only served through /admin, behind the password (see _Admin dashboard_)
+app.use('/admin.html', (req, res) => res.sendStatus(404));
+
 //Serve index.html and other static assets from this directory This means you can just open http://localhost:3000 and get
 //the client (which is great for me because I was ripping my hair out trying to figure out why my code was failing in index)
 app.use(express.static(__dirname));
@@ -39,10 +84,20 @@ players[socketId] = {
   roomId: 'lobby' | `match:${matchId}`,
   matchId: null | matchId,
   spectatingMatchId: null | matchId,
+  profileId: null | profileId, //set once joinLobby ties this socket to a stored profile
   totalWins: 0,
   totalLosses: 0,
+  rating: 1200, //mirrored from their profile, used for matchmaking
+  queueRuleset: ruleset, //which ruleset they asked for when queueing; only people who asked for the same one get paired
   timeLastHeartbeat: 0,
-  wantsMatch: false
+  rttMs: null | ms, //smoothed round trip we measured with latencyPing, see _Clock sync_
+  latencyPing: null | { id, sentAt }, //the last latencyPing we sent; id goes back to null once it's been answered
+  wantsMatch: false,
+  queuedAt: null | timestamp, //when they joined waitingQueue, so matchmaking can loosen up the longer they wait
+  disconnectedAt: null | timestamp, //set while the socket is gone but their match seat is being held for them
+  allowBotBackfill: true, //whether they're OK being handed a bot if nobody else turns up in the queue
+  mutedUntil: 0, //chat is dropped until this time (set by the abuse guard, see _Input validation and rate limits_)
+  isBot: false //server-side bot opponents live in here too (with no socket), see _Bot opponents_
 };
 */
 
@@ -52,14 +107,37 @@ let matches = {};
 /*
 matches[matchId] = {
   id: matchId,
-  players: [socketIdA, socketIdB],
+  players: [socketIdA, socketIdB, ...], //two for a duel, ruleset.playerCount for party modes (see _Party modes_ in engine.js)
   scores: { [socketIdA]: 0, [socketIdB]: 0 },
+  profileIds: { [socketIdA]: profileIdA, [socketIdB]: profileIdB },
+  ruleset: { id, name, moves, beats, bestOf, winsToTakeMatch, roundTimeMs, commitReveal, mode, playerCount, key }, //see buildRuleset
+  teams: null | { [socketIdA]: 0, [socketIdB]: 1, ... }, //team matches only
+  out: { [socketId]: 'forfeit' | 'disconnect' }, //party players who left; the rest play on without them
   round: 1,
   currentTurn: socketIdA,
-  turnDeadline: Date.now() + ROUND_TIME_LIMIT,
+  turnDeadline: Date.now() + match.ruleset.roundTimeMs,
   moves: { [socketIdA]: null, [socketIdB]: null },
+  movedAt: { [socketIdA]: timestamp }, //when each player locked in this round (their move, or their commitment)
   status: 'active' | 'finished',
-  roomId: `match:${matchId}`
+  roomId: `match:${matchId}`,
+  isPrivate: false, //private-room matches are left out of lobbyState and can't be spectated
+  vsBot: false, //true if either seat is a bot; these results stay off ratings and W/L records
+  phase: 'commit' | 'reveal', //commit-reveal matches only; normal matches stay in 'commit' and never use the rest
+  commitments: { [socketIdA]: 'sha256 hex', ... },
+  salts: { [socketIdA]: 'salt', ... }, //filled in as reveals arrive
+  botReveals: { [botId]: { move, salt } }, //bots commit like everyone else and we reveal for them
+  chatHistory: [chatMessage, ...], //the last MATCH_CHAT_HISTORY_SIZE messages, handed to late spectators in match_snapshot
+  seatInfo: [{ profileId, name, rating, isBot }, ...], //who sat in each seat when the match started, for the history log
+  startedAt: Date.now(),
+  roundStartedAt: Date.now(),
+  rounds: [ { round, moves: [moveA, moveB], winnerSeat: 0 | 1 | null, reason, scores: [a, b], responseMs: [a, b], startedAt, resolvedAt } ],
+  //(party rounds also have winnerSeats: [seat, ...] and points: [a, b, ...], see resolveRound)
+  pausedRemainingMs: null | ms, //while someone's seat is held, the round clock is frozen with this much time left
+  idleRounds: 0, //empty rounds in a row (nobody moved), see IDLE_POLICY
+  predictions: { [spectatorSocketId]: socketIdA | socketIdB | 'tie' }, //this round's spectator votes, see _Spectators_
+  series: null | { games, wins: [winsA, winsB] }, //rematches only: the session score so far (wins follows players)
+  tournamentId: null | tournamentId, //set for bracket matches, see _Tournaments_
+  tournamentMatchId: null | 'W2-0' | 'L1-1' | 'GF'
 };
 */
 
@@ -67,6 +145,78 @@ matches[matchId] = {
 //Think of this as a very simple matchmaking pool
 let waitingQueue = [];
 
+//Pending direct challenges, keyed by challengeId
+//One player challenges another from the lobby list; the target accepts or declines before expiresAt
+let challenges = {};
+/*
+challenges[challengeId] = {
+  id: challengeId,
+  fromId: socketIdA,
+  toId: socketIdB,
+  ruleset,
+  expiresAt: Date.now() + CHALLENGE_TIMEOUT_MS,
+  timer: Timeout
+};
+*/
+
+//Private rooms waiting for a second player, keyed by their shareable code
+//The host creates one, hands the code to a friend out-of-band, and whoever joins with that code gets the match
+let privateRooms = {};
+/*
+privateRooms[code] = {
+  code: 'K7QX2M',
+  hostId: socketId,
+  ruleset,
+  expiresAt: Date.now() + PRIVATE_ROOM_TIMEOUT_MS,
+  timer: Timeout
+};
+*/
+
+//Rematch offers, keyed by offerId. endMatch makes one for the two players of a match that just finished, and it turns
+//into a new match if both say yes before expiresAt (see _Rematches_)
+let rematchOffers = {};
+/*
+rematchOffers[offerId] = {
+  id: offerId,
+  players: [socketIdA, socketIdB], //same order as the match that just ended
+  accepted: { [socketIdA]: false, [socketIdB]: false },
+  ruleset,
+  isPrivate: false,
+  series: { games: 3, wins: [2, 1] }, //the score so far, counting the match that just ended
+  expiresAt: Date.now() + REMATCH_TIMEOUT_MS,
+  timer: Timeout
+};
+*/
+
+//Tournaments, keyed by tournamentId. Players register, the host starts it, and the bracket plays itself out through
+//createMatch/endMatch (see _Tournaments_). Kept in memory only, like matches
+let tournaments = {};
+/*
+tournaments[tournamentId] = {
+  id, name,
+  format: 'single' | 'double',
+  seeding: 'rating' | 'random',
+  ruleset, //every bracket match uses this
+  hostProfileId, hostName,
+  status: 'registering' | 'running' | 'finished' | 'cancelled',
+  entrants: [{ profileId, name, rating, seed }], //seed is filled in when it starts
+  bracket: {
+    [tmId]: {
+      id: 'W1-0', //W = winners bracket, L = losers bracket, GF = grand final; then round-slot
+      bracket: 'W' | 'L' | 'GF', round, slot,
+      slots: [{ source: { from: tmId, take: 'winner' | 'loser' } | null, value: undefined | null | profileId }, x2],
+      //value undefined = still waiting on the source match, null = nobody is coming (a bye)
+      status: 'pending' | 'ready' | 'live' | 'done',
+      readyAt, matchId, winner, loser,
+      reason: 'played' | 'bye' | 'no_show' | ...
+    }
+  },
+  finalId: 'W3-0' | 'GF', //whoever wins this match wins the tournament
+  championId: null | profileId,
+  createdAt, startedAt, finishedAt
+};
+*/
+
 //Global stats
 //These are not gameplay-critical, but give the lobby a sense of history
 let globalStats = {
@@ -74,14 +224,275 @@ let globalStats = {
   totalRoundsPlayed: 0
 };
 
+//What the lobby was last told (see broadcastLobbyState): the full picture as of `version`, which goes up by one with every
+//patch. A fresh server (or a new leader, see _Scaling_) starts again from 0, and clients notice the jump and resync
+let lobbyView = {
+  version: 0,
+  state: { spectators: [], activeMatches: [], globalStats: null, leaderboard: null }
+};
+
+//Move stats: what people throw and how it works out for them, for everyone together and per profile (see _Move stats_
+//in engine.js for what's in each one). Bots are left out. Persisted with the rest of the store
+let moveStats = {
+  global: emptyMoveStats(),
+  players: {} //profileId -> the same totals, for just that player
+};
+
+//_Persistent accounts and stats_
+//players above only lives as long as a socket does, so anything that should survive a refresh, a disconnect or a server
+//restart lives here instead:
+//- profiles are keyed by a public profileId, and each one carries a secret token that the client keeps in localStorage
+//- the client sends that token with joinLobby, which is how a brand new socket.id gets tied back to the same person
+//- profiles and globalStats are written to a JSON file on disk and read back in when the server starts
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STORE_FILE = path.join(DATA_DIR, 'store.json');
+//saveStore waits this long before writing (to disk, and to the shared storage when there is one), so a burst of changes
+//(a match ending, both players landing back in the lobby) is a single write
+const STORE_WRITE_DELAY_MS = 1000;
+let storeWriteTimer = null;
+
+let profiles = {};
+/*
+profiles[profileId] = {
+  profileId: 'a1b2c3d4e5f6a7b8',
+  token: '<secret, never broadcast>',
+  name: 'PlayerName',
+  preferredColor: '#ff00ff',
+  totalWins: 0,
+  totalLosses: 0,
+  rating: 1200,
+  currentStreak: 0, //wins in a row right now (any loss resets it)
+  bestStreak: 0, //longest run of wins ever, which is what the all-time streak leaderboard ranks on
+  chatMuted: [profileId, ...], //people whose chat this player doesn't want to see
+  chatBlocked: [profileId, ...], //muted, and also can't whisper or challenge this player
+  mutedUntil: 0, //operator /mute, carried over to every new socket until it runs out
+  bannedAt: null, //operator /ban; joinLobby turns banned profiles away
+  createdAt: 0,
+  lastSeen: 0
+};
+*/
+
+//Reverse lookup so joinLobby doesn't have to scan every profile to find a token
+let profileIdByToken = {};
+
+//Finished matches, oldest first, persisted alongside profiles. endMatch appends one record per match (see
+//buildHistoryRecord) and the oldest ones fall off once we pass MATCH_HISTORY_LIMIT (1000 unless set) so the store can't
+//grow forever
+const MATCH_HISTORY_LIMIT = Math.max(1, Number(process.env.MATCH_HISTORY_LIMIT) || 1000);
+let matchHistory = [];
+
 //Heartbeat/AFK timeout in ms
 //If a client hasn’t pinged us in this time, we assume they’re gone or AFK
 const HEARTBEAT_TIMEOUT = 15000; // 15 seconds
 
-//Match config
-//These constants control pacing (round lengths) and win condition
-const ROUND_TIME_LIMIT = 30000;
-const WINS_TO_TAKE_MATCH = 3;
+//Latency allowance in ms
+//A move that reaches us a little after the round deadline still counts if the player's lag explains it: each player gets
+//half their measured round trip (see _Clock sync_), but never more than this. LATENCY_ALLOWANCE_MAX_MS=0 turns it off
+const LATENCY_ALLOWANCE_MAX_MS = process.env.LATENCY_ALLOWANCE_MAX_MS != null
+  ? Number(process.env.LATENCY_ALLOWANCE_MAX_MS)
+  : 500;
+//How often each player's round trip gets measured again
+const LATENCY_PING_MS = 5000;
+
+//Reconnect grace period in ms
+//When a player drops out of an active match, their seat is held (and the round clock paused) for this long before the
+//normal disconnect forfeit kicks in. Set RECONNECT_GRACE_MS=0 to go back to forfeiting instantly
+const RECONNECT_GRACE_MS = process.env.RECONNECT_GRACE_MS != null
+  ? Number(process.env.RECONNECT_GRACE_MS)
+  : 20000;
+
+//Seats being held for disconnected players, keyed by profileId (the one thing that stays the same across sockets)
+let heldSeats = {};
+/*
+heldSeats[profileId] = {
+  profileId,
+  matchId,
+  socketId: oldSocketId, //the id they had in match.players before dropping
+  expiresAt: Date.now() + RECONNECT_GRACE_MS,
+  timer: Timeout
+};
+*/
+
+//Idle policy
+//A round where nobody moves at all gets a fresh clock, but only IDLE_ROUND_LIMIT times in a row. After that:
+//- IDLE_POLICY=abort (default): the match ends with no winner and nobody's record changes
+//- IDLE_POLICY=tie: the empty round is scored as a tie and play moves on. A match that keeps going like that for
+//  another IDLE_ROUND_LIMIT rounds is aborted anyway, since ties alone can never finish it
+const IDLE_POLICY = process.env.IDLE_POLICY === 'tie' ? 'tie' : 'abort';
+const IDLE_ROUND_LIMIT = Math.max(1, Number(process.env.IDLE_ROUND_LIMIT) || 3);
+
+//Commit-reveal ("fair play") matches
+//Instead of sending their move, each player first sends commitMove with sha256(`${matchId}|${round}|${move}|${salt}`).
+//Once both have committed (or the round clock runs out) we ask for the reveals, and each player gets REVEAL_TIME_MS to
+//send back their move and salt. A reveal that doesn't hash to the commitment, or no reveal at all, forfeits the match.
+//The commitments are public the moment they arrive and the salts go out with round_result, so anyone watching can
+//check for themselves that nobody (us included) changed a move after the fact
+const REVEAL_TIME_MS = 10000;
+
+//Challenge + private room config
+//How long a direct challenge waits for an answer, and how long a private room code stays valid with nobody joining
+const CHALLENGE_TIMEOUT_MS = 30000;
+const PRIVATE_ROOM_TIMEOUT_MS = 10 * 60 * 1000;
+//How long both players get to say yes to a rematch once their match is over
+const REMATCH_TIMEOUT_MS = 20000;
+//Room codes skip 0/O and 1/I so they're easy to read out loud
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+
+//Bot config
+//How long a bot "thinks" before locking in its move (picked at random in this range each round), and how long a lone
+//player sits in the queue before a bot is sent in to play them. BOT_BACKFILL_MS=0 turns backfill off
+const BOT_MIN_THINK_MS = 700;
+const BOT_MAX_THINK_MS = 2500;
+const BOT_BACKFILL_MS = process.env.BOT_BACKFILL_MS != null
+  ? Number(process.env.BOT_BACKFILL_MS)
+  : 30000;
+
+//Tournament config
+//Once a bracket match is ready, both players get TOURNAMENT_NO_SHOW_MS to be free (not already in some other match, and
+//connected). Whoever isn't loses that match as a no-show, the same as forfeiting it. Tournaments need at least
+//TOURNAMENT_MIN_PLAYERS and take at most TOURNAMENT_MAX_PLAYERS; only the last few finished ones are kept around
+//TOURNAMENT_BREATHER_MS is how long a ready match waits before starting, so people get to see their last game_end
+const TOURNAMENT_NO_SHOW_MS = 60000;
+const TOURNAMENT_BREATHER_MS = 4000;
+const TOURNAMENT_MIN_PLAYERS = 2;
+const TOURNAMENT_MAX_PLAYERS = 32;
+const TOURNAMENT_KEEP_FINISHED = 10;
+
+//Matchmaking config
+//Matchmaking starts out only pairing ratings (see _Ratings_ in engine.js) within MATCHMAKING_BASE_GAP of each other, then
+//widens that window by MATCHMAKING_GAP_PER_SECOND for every second someone has been waiting, so nobody sits in the queue
+//forever
+const MATCHMAKING_BASE_GAP = 100;
+const MATCHMAKING_GAP_PER_SECOND = 25;
+
+//Leaderboard config
+//- 'all' ranks on the stored profiles; 'weekly' and 'daily' rank on leaderboardPeriodTotals, which count from the start
+//  of the current UTC week (Monday) or day and start over on their own when it rolls round
+//- the win rate board only lists players with at least LEADERBOARD_MIN_GAMES decisive games in that period
+//- boards are cached and rebuilt when a match ends, or every LEADERBOARD_REFRESH_MS so the periods roll over
+//- lobbyState only carries the top LEADERBOARD_COMPACT_SIZE of each board; the full thing is at GET /api/leaderboard
+const LEADERBOARD_PERIODS = ['all', 'weekly', 'daily'];
+const LEADERBOARD_BOARDS = ['wins', 'winRate', 'streak'];
+const LEADERBOARD_MIN_GAMES = 5;
+const LEADERBOARD_REFRESH_MS = 60000;
+const LEADERBOARD_COMPACT_SIZE = 5;
+let leaderboardCache = null; //{ builtAt, periods: { all: { since, boards: { wins: [...], winRate: [...], streak: [...] } }, ... } }
+//Running totals for the shorter periods, added to as matches end (see addPeriodResults). matchHistory is capped, so on
+//a busy server it doesn't reach back to the start of the week. Persisted with the rest of the store
+let leaderboardPeriodTotals = {
+  weekly: { since: 0, players: {} }, //profileId -> { wins, losses, currentStreak, bestStreak }
+  daily: { since: 0, players: {} }
+};
+
+//loadStore:
+//- Reads profiles, globalStats and the rest back in from STORE_FILE when the server boots
+//- A missing file just means this is a fresh install; a broken file gets logged and we start clean rather than crash
+function loadStore() {
+  if (!fs.existsSync(STORE_FILE)) return;
+  try {
+    applyStore(JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')));
+    console.log(`Loaded ${Object.keys(profiles).length} profiles from ${STORE_FILE}`);
+  } catch (err) {
+    console.error('Could not read the player store, starting with an empty one:', err.message);
+  }
+}
+
+//applyStore:
+//- Swaps in a saved { profiles, globalStats, matchHistory, moveStats, leaderboardPeriodTotals }, from disk or from the
+//  shared storage
+function applyStore(saved) {
+  profiles = saved.profiles || {};
+  globalStats = Object.assign(globalStats, saved.globalStats || {});
+  matchHistory = saved.matchHistory || [];
+  //Stores from before move stats existed just start counting from now
+  moveStats = saved.moveStats || { global: emptyMoveStats(), players: {} };
+  profileIdByToken = {};
+  Object.values(profiles).forEach(prof => {
+    profileIdByToken[prof.token] = prof.profileId;
+    //Profiles saved before ratings existed just start at the default
+    if (typeof prof.rating !== 'number') prof.rating = RATING_DEFAULT;
+  });
+  //Stores from before the period totals existed get them replayed from whatever matchHistory still has
+  leaderboardPeriodTotals = saved.leaderboardPeriodTotals || replayPeriodTotals(matchHistory);
+  leaderboardCache = null;
+}
+
+//saveStore:
+//- Writes profiles, globalStats, matchHistory, moveStats and leaderboardPeriodTotals out, at most once every
+//  STORE_WRITE_DELAY_MS (see flushStore)
+function saveStore() {
+  if (!storeWriteTimer) storeWriteTimer = setTimeout(flushStore, STORE_WRITE_DELAY_MS);
+}
+
+//flushStore:
+//- The write behind saveStore. With MATCH_HISTORY_LIMIT matches of round-by-round history in there the store runs to
+//  megabytes, so it's never written more often than it has to be
+//- It goes to disk, and with several processes to the shared storage too, which is the real copy (every process has
+//  its own disk). storeVersion only moves once that write is in, so the others never reload before there's anything new
+//- stopServer (and Ctrl+C) call it straight away so a pending write isn't lost. Resolves once both writes are done
+function flushStore() {
+  clearTimeout(storeWriteTimer);
+  storeWriteTimer = null;
+  writeStoreFile();
+  if (!CLUSTERED) return Promise.resolve();
+  return storage.set(STORAGE_KEYS.store, { profiles, globalStats, matchHistory, moveStats, leaderboardPeriodTotals })
+    .then(() => {
+      storeVersion++;
+      markChanged('tables');
+    })
+    .catch(err => console.error('Could not save the player store to shared storage:', err.message));
+}
+
+//writeStoreFile:
+//- flushStore's disk write, without indentation to keep it small
+//- Writes to a temp file first and then renames it, so a crash halfway through never leaves a half-written store behind
+function writeStoreFile() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpFile = `${STORE_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ profiles, globalStats, matchHistory, moveStats, leaderboardPeriodTotals }));
+    fs.renameSync(tmpFile, STORE_FILE);
+  } catch (err) {
+    console.error('Could not save the player store:', err.message);
+  }
+}
+
+//getProfileByToken:
+//- Returns the stored profile for a client token, or null if the token is missing, malformed, or unknown
+function getProfileByToken(token) {
+  if (typeof token !== 'string' || !/^[a-f0-9]{48}$/.test(token)) return null;
+  const profileId = profileIdByToken[token];
+  return profileId ? profiles[profileId] || null : null;
+}
+
+//createProfile:
+//- Makes a brand new profile with a fresh server-generated token
+//- The server picks the token (not the client) so nobody can claim someone else's record by guessing at it
+function createProfile(name, preferredColor) {
+  const now = clock.now();
+  const profile = {
+    profileId: crypto.randomBytes(8).toString('hex'),
+    token: crypto.randomBytes(24).toString('hex'),
+    name,
+    preferredColor,
+    totalWins: 0,
+    totalLosses: 0,
+    rating: RATING_DEFAULT,
+    currentStreak: 0,
+    bestStreak: 0,
+    chatMuted: [],
+    chatBlocked: [],
+    mutedUntil: 0,
+    bannedAt: null,
+    createdAt: now,
+    lastSeen: now
+  };
+  profiles[profile.profileId] = profile;
+  profileIdByToken[profile.token] = profile.profileId;
+  return profile;
+}
+
 
 //Helper utilities
 //safeGetPlayer:
@@ -92,68 +503,163 @@ function safeGetPlayer(id) {
   return players[id] || null;
 }
 
-//broadcastLobbyState:
+//describeMatchPlayer:
+//- The little { id, name, rating } label every match-related payload uses for its participants
+//- If the player somehow disappeared, I still return something instead of crashing the website for everyone
+function describeMatchPlayer(pid) {
+  const p = safeGetPlayer(pid);
+  return p
+    ? { id: p.id, name: p.name, rating: p.rating, isBot: !!p.isBot }
+    : { id: pid, name: 'Unknown', rating: null, isBot: false };
+}
+
+//buildLobbyState:
 //- Gathers a summary of the current lobby, and who’s there and which matches exist
-//- Sends that snapshot to everyone in the 'lobby' room via socket.io
-//- This is how all clients keep their lobby UI in sync with server truth while retaining autonomy
-function broadcastLobbyState() {
+function buildLobbyState() {
   const spectators = Object.values(players)
     .filter(p => p.roomId === 'lobby')
     .map(p => ({
       id: p.id,
+      profileId: p.profileId,
       name: p.name,
+      preferredColor: p.preferredColor,
       totalWins: p.totalWins,
-      totalLosses: p.totalLosses
+      totalLosses: p.totalLosses,
+      rating: p.rating
     }));
 
+  //Private-room matches are nobody else's business, so they never show up in the list
   const activeMatches = Object.values(matches)
-    .filter(m => m.status === 'active')
+    .filter(m => m.status === 'active' && !m.isPrivate)
     .map(m => ({
       matchId: m.id,
-      players: m.players.map(pid => {
-        const p = safeGetPlayer(pid);
-        //If the player somehow disappeared, I still show something instead of crashing the website for everyone
-        return p
-          ? { id: p.id, name: p.name }
-          : { id: pid, name: 'Unknown' };
-      }),
-      scores: m.scores
+      players: m.players.map(describeMatchPlayer),
+      scores: m.scores,
+      rulesetName: m.ruleset.name,
+      bestOf: m.ruleset.bestOf,
+      mode: m.ruleset.mode,
+      teams: m.teams,
+      vsBot: m.vsBot,
+      spectatorCount: countSpectators(m.id),
+      tournamentName: m.tournamentId && tournaments[m.tournamentId] ? tournaments[m.tournamentId].name : null
     }));
 
-  //serverTime is included so clients could adjust timers if they wanted to
-  io.to('lobby').emit('lobbyState', {
+  return {
     spectators,
     activeMatches,
     globalStats,
-    serverTime: Date.now()
+    leaderboard: buildCompactLeaderboard(spectators.map(s => s.profileId).filter(Boolean))
+  };
+}
+
+//lobbyPatchOps:
+//- The changes that turn one lobby state into the next, as a list of ops:
+//  playerJoined { player }, playerUpdated { player }, playerLeft { id },
+//  matchAdded { match }, scoreChanged { matchId, scores }, matchUpdated { match }, matchRemoved { matchId },
+//  globalStats { globalStats }, leaderboard { leaderboard }, leaderboardBoard { period, board, rows },
+//  leaderboardRanks { ranks: { [profileId]: ranks | null } }
+//- Joins and new matches go on the end of their lists, same as they would in a full state
+//- The leaderboard goes out in pieces: a top-N board only when it changed (a match ended, mostly), and the lobby's own
+//  ranks keyed by profileId, so someone joining or leaving only adds or drops their row (null) instead of resending it all
+function lobbyPatchOps(prev, next) {
+  const ops = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const prevPlayers = new Map(prev.spectators.map(p => [p.id, p]));
+  const nextPlayerIds = new Set(next.spectators.map(p => p.id));
+  prev.spectators.forEach(p => {
+    if (!nextPlayerIds.has(p.id)) ops.push({ op: 'playerLeft', id: p.id });
+  });
+  next.spectators.forEach(p => {
+    const before = prevPlayers.get(p.id);
+    if (!before) ops.push({ op: 'playerJoined', player: p });
+    else if (!same(before, p)) ops.push({ op: 'playerUpdated', player: p });
   });
+
+  const prevMatches = new Map(prev.activeMatches.map(m => [m.matchId, m]));
+  const nextMatchIds = new Set(next.activeMatches.map(m => m.matchId));
+  prev.activeMatches.forEach(m => {
+    if (!nextMatchIds.has(m.matchId)) ops.push({ op: 'matchRemoved', matchId: m.matchId });
+  });
+  next.activeMatches.forEach(m => {
+    const before = prevMatches.get(m.matchId);
+    if (!before) {
+      ops.push({ op: 'matchAdded', match: m });
+    } else if (!same(before, m)) {
+      //A round ending only moves the scores, and that's most of the traffic
+      const onlyScores = same(Object.assign({}, before, { scores: m.scores }), m);
+      ops.push(onlyScores ? { op: 'scoreChanged', matchId: m.matchId, scores: m.scores } : { op: 'matchUpdated', match: m });
+    }
+  });
+
+  if (!same(prev.globalStats, next.globalStats)) ops.push({ op: 'globalStats', globalStats: next.globalStats });
+  if (!prev.leaderboard) {
+    ops.push({ op: 'leaderboard', leaderboard: next.leaderboard });
+    return ops;
+  }
+  LEADERBOARD_PERIODS.forEach(period => {
+    LEADERBOARD_BOARDS.forEach(board => {
+      const rows = next.leaderboard.periods[period][board];
+      if (!same(prev.leaderboard.periods[period][board], rows)) ops.push({ op: 'leaderboardBoard', period, board, rows });
+    });
+  });
+  const prevRanks = prev.leaderboard.ranks;
+  const nextRanks = next.leaderboard.ranks;
+  const ranks = {};
+  Object.keys(prevRanks).forEach(pid => {
+    if (!nextRanks[pid]) ranks[pid] = null;
+  });
+  Object.keys(nextRanks).forEach(pid => {
+    if (!same(prevRanks[pid], nextRanks[pid])) ranks[pid] = nextRanks[pid];
+  });
+  if (Object.keys(ranks).length) ops.push({ op: 'leaderboardRanks', ranks });
+  return ops;
+}
+
+//broadcastLobbyState:
+//- Works out what changed since the lobby was last told (lobbyPatchOps) and sends just that to everyone in the 'lobby'
+//  room as a 'lobbyPatch' with the next version number. Nothing changed means nothing is sent
+//- Clients start from a full 'lobbyState' (sendLobbySnapshot, on connect or when they ask with lobbyResync) and apply
+//  each patch on top of the version before it
+//- This is how all clients keep their lobby UI in sync with server truth while retaining autonomy
+function broadcastLobbyState() {
+  //A copy, since the live objects (globalStats, each match's scores) keep changing underneath us
+  const state = JSON.parse(JSON.stringify(buildLobbyState()));
+  const ops = lobbyPatchOps(lobbyView.state, state);
+  lobbyView.state = state;
+  if (!ops.length) return;
+  lobbyView.version += 1;
+  io.to('lobby').emit('lobbyPatch', { timestamp: clock.now(), version: lobbyView.version, ops });
 }
 
-//rpsWinner:
-//- Pure function that compares two moves and returns. 'A' if player A wins, 'B' if player B wins, or 'tie'.
-//- Server uses this to decide round results when both players submitted moves.
-//- Keeping this isolated makes it easier to test or tweak later.
-function rpsWinner(moveA, moveB) {
-  if (moveA === moveB) return 'tie';
-  if (moveA === 'rock' && moveB === 'scissors') return 'A';
-  if (moveA === 'paper' && moveB === 'rock') return 'A';
-  if (moveA === 'scissors' && moveB === 'paper') return 'A';
-  return 'B';
+//sendLobbySnapshot:
+//- The whole lobby as of the latest patch, to one socket
+//- serverTime is included so clients could adjust timers if they wanted to
+function sendLobbySnapshot(socketId) {
+  io.to(socketId).emit('lobbyState', Object.assign({ version: lobbyView.version }, lobbyView.state, { serverTime: clock.now() }));
 }
 
 //getSocketById:
-//- Socket.io changed its internal APIs across versions
-//- This helper looks in both possible places so the rest of the code
-//can simply call getSocketById(id) and not worry about version differences
 //- If no socket exists for this id, returns null
+//- These days it hands back our connection object rather than the raw socket, since the socket may live in another
+//process (see _Scaling_). It has the same id/join/leave/disconnect that everything here uses
 function getSocketById(id) {
-  if (io.sockets && io.sockets.sockets && io.sockets.sockets[id]) {
-    return io.sockets.sockets[id];
-  }
-  if (io.sockets && io.sockets.connected && io.sockets.connected[id]) {
-    return io.sockets.connected[id];
+  return connections[id] || null;
+}
+
+//addToWaitingQueue:
+//- Puts a player into the matchmaking pool (once) and stamps when they joined, which tryStartMatches uses to widen
+//their allowed rating gap over time
+function addToWaitingQueue(id) {
+  const player = safeGetPlayer(id);
+  if (!player) return;
+  player.wantsMatch = true;
+  if (!waitingQueue.includes(id)) {
+    waitingQueue.push(id);
+    player.queuedAt = clock.now();
+    markChanged('queue');
   }
-  return null;
+  markChanged('players', id);
 }
 
 //removeFromWaitingQueue:
@@ -161,32 +667,73 @@ function getSocketById(id) {
 //- Used when a player starts a match, leaves, or disconnects the game
 //- Helps keep waitingQueue from accumulating stale ids (which would mean running failed games, or worse, WAITING!!!)
 function removeFromWaitingQueue(id) {
+  if (!waitingQueue.includes(id)) return;
   waitingQueue = waitingQueue.filter(pid => pid !== id);
+  markChanged('queue');
 }
 
 //createMatch:
-//- Given two player ids, this function builds a match object and registers it in matches
-//- Moves both players out of the lobby and into a dedicated match room
-//- Notifies both players with a 'match_start' event and then a 'turnUpdate'
-//- This function assumes both players are valid and ready; callers must check
-function createMatch(playerIdA, playerIdB) {
-  const matchId = `${playerIdA}_${playerIdB}_${Date.now()}`;
+//- Given the player ids in seat order (two of them, or ruleset.playerCount for party modes) and optionally a ruleset
+//from buildRuleset, this function builds a match object and registers it in matches
+//- Team matches put even seats on team 0 and odd seats on team 1
+//- options.isPrivate hides the match from the lobby list and from spectators (used by private rooms)
+//- options.tournamentId/tournamentMatchId tie it to a bracket slot so endMatch can report back (see _Tournaments_)
+//- options.series carries the running score over from the last match when this one is a rematch (see _Rematches_)
+//- Any challenges, private rooms or rematch offers the players still had open are closed, since they're busy now
+//- Moves the players out of the lobby and into a dedicated match room
+//- Notifies them with a 'match_start' event and then a 'turnUpdate'
+//- This function assumes every player is valid and ready; callers must check
+function createMatch(playerIds, ruleset = buildRuleset(), options = {}) {
+  //The random part is what makes it unique: a rematch can start in the same millisecond the last game between the same
+  //players ended, and matchHistory and /api/matches/:matchId need the two told apart
+  const matchId = `${playerIds.join('_')}_${clock.now()}_${crypto.randomBytes(6).toString('hex')}`;
   const roomId = `match:${matchId}`;
+  const perPlayer = value => Object.fromEntries(playerIds.map((pid, seat) => [pid, typeof value === 'function' ? value(pid, seat) : value]));
 
   //Initializes all state for this match instance
   const match = {
     id: matchId,
-    players: [playerIdA, playerIdB],
-    scores: { [playerIdA]: 0, [playerIdB]: 0 },
+    players: playerIds.slice(),
+    scores: perPlayer(0),
+    //Remembers whose profile each seat belongs to, so endMatch can still credit the result after a socket is gone
+    profileIds: perPlayer(pid => (safeGetPlayer(pid) || {}).profileId || null),
+    ruleset,
+    teams: ruleset.mode === 'teams' ? perPlayer((pid, seat) => seat % 2) : null,
+    out: {},
     round: 1,
-    currentTurn: playerIdA,
-    turnDeadline: Date.now() + ROUND_TIME_LIMIT,
-    moves: { [playerIdA]: null, [playerIdB]: null },
+    currentTurn: playerIds[0],
+    turnDeadline: clock.now() + ruleset.roundTimeMs,
+    moves: perPlayer(null),
+    movedAt: {},
     status: 'active',
-    roomId
+    roomId,
+    isPrivate: !!options.isPrivate,
+    vsBot: playerIds.some(pid => (safeGetPlayer(pid) || {}).isBot),
+    chatHistory: [],
+    phase: 'commit',
+    commitments: {},
+    salts: {},
+    botReveals: {},
+    //Socket ids change on reconnect, so the history log talks about seats (0 and 1) and remembers who sat where
+    seatInfo: playerIds.map(pid => {
+      const p = safeGetPlayer(pid) || {};
+      return { profileId: p.profileId || null, name: p.name || 'Unknown', rating: p.rating, isBot: !!p.isBot };
+    }),
+    startedAt: clock.now(),
+    roundStartedAt: clock.now(),
+    rounds: [],
+    idleRounds: 0,
+    predictions: {},
+    series: options.series || null,
+    tournamentId: options.tournamentId || null,
+    tournamentMatchId: options.tournamentMatchId || null
   };
 
   matches[matchId] = match;
+  markChanged('matches', matchId);
+  markChanged('players', ...playerIds);
+
+  playerIds.forEach(pid => closeInvitesFor(pid, 'busy'));
 
   //Loops through the two participant ids and attach them to this match room
   match.players.forEach(pid => {
@@ -196,11 +743,7 @@ function createMatch(playerIdA, playerIdB) {
     if (!socket) return;
 
     //If the player was spectating some other match, pull them out of that room first
-    if (p.spectatingMatchId) {
-      const oldMatch = matches[p.spectatingMatchId];
-      if (oldMatch) socket.leave(oldMatch.roomId);
-      p.spectatingMatchId = null;
-    }
+    leaveSpectating(p);
 
     //Leaves lobby (if they’re still in it) and join this match’s private room
     socket.leave('lobby');
@@ -213,166 +756,530 @@ function createMatch(playerIdA, playerIdB) {
     p.wantsMatch = false;
   });
 
-  //Tells everyone in the match room (just the two players for now) that the match started
+  //Tells everyone in the match room (just the players for now) that the match started
   io.to(roomId).emit('match_start', {
-    timestamp: Date.now(),
+    timestamp: clock.now(),
     matchId,
-    players: match.players.map(pid => {
-      const p = safeGetPlayer(pid);
-      //Again, if something is off, we still send a fallback label instead of crashing
-      return p ? { id: p.id, name: p.name } : { id: pid, name: 'Unknown' };
-    }),
+    players: match.players.map(describeMatchPlayer),
     scores: match.scores,
+    ruleset: match.ruleset,
+    teams: match.teams,
     round: match.round,
     startingPlayer: match.currentTurn,
-    serverTime: Date.now()
+    series: match.series,
+    serverTime: clock.now()
   });
 
-  //Immediately sends a turnUpdate so clients can render a timer bar
+  //Immediately sends a turnUpdate so clients can render a timer bar, and starts the round clock for real
+  armRoundTimer(match);
   emitTurnUpdate(match);
 
   //Leaving the lobby changes the lobby composition, so broadcast the new snapshot
   broadcastLobbyState();
+  return match;
 }
 
 //emitTurnUpdate:
 //- Sends a 'turnUpdate' event to everyone in a match room
 //- Contains the current holderId, round, and turnDeadline from server time
 //- Clients use this to compute their local countdown and highlight whose turn it is
+//- While a seat is held the clock is frozen: paused is true and expiresAt is just now + whatever is left, so clients
+//  show that instead of counting down
 function emitTurnUpdate(match) {
-  const now = Date.now();
+  const now = clock.now();
+  const paused = match.pausedRemainingMs != null;
   io.to(match.roomId).emit('turnUpdate', {
     timestamp: now,
     matchId: match.id,
     holderId: match.currentTurn,
-    expiresAt: match.turnDeadline,
-    durationMs: ROUND_TIME_LIMIT,
-    round: match.round
+    expiresAt: paused ? now + match.pausedRemainingMs : match.turnDeadline,
+    paused,
+    durationMs: match.phase === 'reveal' ? REVEAL_TIME_MS : match.ruleset.roundTimeMs,
+    round: match.round,
+    phase: match.phase
+  });
+
+  //Every new round (or deadline reset) comes through here, so this is also where any bot in the match starts thinking
+  scheduleBotMoves(match);
+}
+
+//buildMatchSnapshot:
+//- Packs up everything a client needs to rebuild the match screen from scratch
+//- Used for new spectators and for players resuming their seat after a reconnect
+//- yourMove is only filled in for the player the snapshot is for, so nobody ever sees their opponent's pending move
+function buildMatchSnapshot(match, forSocketId) {
+  const now = clock.now();
+  const paused = match.pausedRemainingMs != null;
+  return {
+    timestamp: now,
+    matchId: match.id,
+    players: match.players.map(describeMatchPlayer),
+    scores: match.scores,
+    ruleset: match.ruleset,
+    round: match.round,
+    yourMove: match.players.includes(forSocketId) ? match.moves[forSocketId] : null,
+    //Who has locked in this round (never what they picked), and what this viewer predicted if they're a spectator
+    lockedIn: match.players.filter(pid => match.moves[pid] || match.commitments[pid]),
+    yourPrediction: match.predictions[forSocketId] || null,
+    spectatorCount: countSpectators(match.id),
+    series: match.series,
+    //Party matches: who's on which team (null outside of teams) and who has left already
+    teams: match.teams,
+    out: match.out,
+    //Recent chat, minus anyone this viewer has muted, so joining late doesn't mean staring at an empty box
+    chatHistory: match.chatHistory.filter(msg => !isIgnoring(safeGetPlayer(forSocketId), msg.fromProfileId)),
+    //Commitments are just hashes, so everyone may see them (that's the point)
+    phase: match.phase,
+    commitments: match.commitments,
+    turnInfo: {
+      holderId: match.currentTurn,
+      //While paused, pretend the deadline is "now + whatever was left" so the bar freezes at the right spot
+      expiresAt: paused ? now + match.pausedRemainingMs : match.turnDeadline,
+      durationMs: match.phase === 'reveal' ? REVEAL_TIME_MS : match.ruleset.roundTimeMs,
+      paused
+    }
+  };
+}
+
+//holdSeatForReconnect:
+//- Called instead of an instant forfeit when a match player's connection drops
+//- Keeps their player record around (flagged as disconnected) so names still show up, and freezes the round clock
+//- Arms a timer that runs the normal disconnect forfeit if they don't come back within RECONNECT_GRACE_MS
+//- Returns false if we can't hold the seat (no grace period, no profile to recognise them by, no active match)
+function holdSeatForReconnect(socketId) {
+  const player = safeGetPlayer(socketId);
+  if (!player || !player.matchId || !player.profileId || RECONNECT_GRACE_MS <= 0) return false;
+  const match = matches[player.matchId];
+  if (!match || match.status !== 'active') return false;
+
+  const now = clock.now();
+  player.disconnectedAt = now;
+
+  //Only the first drop pauses the clock; if both players vanish the remaining time is already frozen
+  if (match.pausedRemainingMs == null) {
+    match.pausedRemainingMs = Math.max(0, match.turnDeadline - now);
+    cancelRoundTimer(match.id);
+  }
+
+  const seat = {
+    profileId: player.profileId,
+    matchId: match.id,
+    socketId,
+    expiresAt: now + RECONNECT_GRACE_MS,
+    timer: clock.setTimeout(() => expireHeldSeat(player.profileId), RECONNECT_GRACE_MS)
+  };
+  heldSeats[player.profileId] = seat;
+  markChanged('heldSeats', player.profileId);
+  markChanged('players', socketId);
+  markChanged('matches', match.id);
+
+  console.log(`Holding seat for ${player.name} in match ${match.id} for ${RECONNECT_GRACE_MS}ms`);
+
+  io.to(match.roomId).emit('match_paused', {
+    timestamp: now,
+    matchId: match.id,
+    playerId: socketId,
+    playerName: player.name,
+    reconnectBy: seat.expiresAt,
+    remainingMs: match.pausedRemainingMs
+  });
+  return true;
+}
+
+//expireHeldSeat:
+//- The grace period ran out, so we fall back to exactly what used to happen on disconnect: a forfeit
+function expireHeldSeat(profileId) {
+  const seat = heldSeats[profileId];
+  if (!seat) return;
+  delete heldSeats[profileId];
+  markChanged('heldSeats', profileId);
+
+  console.log(`Reconnect window expired for seat ${seat.socketId} in match ${seat.matchId}`);
+  handlePlayerLeaveMatch(seat.socketId, 'disconnect');
+  delete players[seat.socketId];
+  markChanged('players', seat.socketId);
+  broadcastLobbyState();
+}
+
+//releaseHeldSeats:
+//- Cancels any pending reconnect timers for a match, used when the match ends some other way first
+function releaseHeldSeats(matchId) {
+  for (const [profileId, seat] of Object.entries(heldSeats)) {
+    if (seat.matchId === matchId) {
+      clock.clearTimeout(seat.timer);
+      delete heldSeats[profileId];
+      markChanged('heldSeats', profileId);
+    }
+  }
+}
+
+//resumeHeldSeat:
+//- A player with a held seat just came back on a new socket, so swap their old socket id for the new one everywhere in
+//the match, put them back in the match room, and send them a full snapshot (including the move they'd already locked in)
+//- If nobody else is still missing, the round clock picks up from where it was frozen
+//- Returns true if the player was put back into a match
+function resumeHeldSeat(socket, player) {
+  const seat = heldSeats[player.profileId];
+  if (!seat) return false;
+  clock.clearTimeout(seat.timer);
+  delete heldSeats[player.profileId];
+  markChanged('heldSeats', player.profileId);
+
+  const match = matches[seat.matchId];
+  if (!match || match.status !== 'active') return false;
+
+  const oldId = seat.socketId;
+  const newId = socket.id;
+  match.players = match.players.map(pid => (pid === oldId ? newId : pid));
+  [match.scores, match.moves, match.movedAt, match.profileIds, match.commitments, match.salts, match.teams || {}].forEach(table => {
+    table[newId] = table[oldId];
+    delete table[oldId];
+  });
+  if (match.currentTurn === oldId) match.currentTurn = newId;
+  Object.keys(match.predictions).forEach(sid => {
+    if (match.predictions[sid] === oldId) match.predictions[sid] = newId;
+  });
+  delete players[oldId];
+  markChanged('players', oldId, newId);
+  markChanged('matches', match.id);
+
+  removeFromWaitingQueue(newId);
+  //They may have been watching some match while they were gone from this one
+  leaveSpectating(player);
+  socket.leave('lobby');
+  socket.join(match.roomId);
+  player.roomId = match.roomId;
+  player.matchId = match.id;
+  player.role = 'player';
+  player.wantsMatch = false;
+
+  console.log(`Player ${player.name} resumed match ${match.id} (${oldId} -> ${newId})`);
+
+  const stillWaiting = !resumeRoundClock(match);
+
+  //Everyone else in the room needs to know the seat changed hands so their score lookups use the new id
+  io.to(match.roomId).emit('match_resumed', {
+    timestamp: clock.now(),
+    matchId: match.id,
+    replacedId: oldId,
+    rejoinedId: newId,
+    players: match.players.map(describeMatchPlayer),
+    scores: match.scores
   });
+  io.to(newId).emit('match_snapshot', buildMatchSnapshot(match, newId));
+  if (!stillWaiting) emitTurnUpdate(match);
+  return true;
+}
+
+//resumeRoundClock:
+//- Unfreezes a match's round clock with whatever time was left, unless someone's seat is still being held
+//- Returns false while it has to stay frozen. Telling the room (emitTurnUpdate) is up to the caller
+function resumeRoundClock(match) {
+  if (Object.values(heldSeats).some(s => s.matchId === match.id)) return false;
+  if (match.pausedRemainingMs == null) return true;
+  match.turnDeadline = clock.now() + match.pausedRemainingMs;
+  match.pausedRemainingMs = null;
+  markChanged('matches', match.id);
+  armRoundTimer(match);
+  return true;
 }
 
 //resolveRound:
 //- function for the core logic that finalizes a single round within a match
 //- The 'reason' parameter tells us 'why' we’re resolving (both moved, timeout, disconnect, forfeit)
 //- It calculates the winner (if any), updates scores, increments global rounds, and notifies clients
+//- Party matches (more than two players) are scored by scorePartyRound instead, see _Party modes_ in engine.js
 //- Depending on scores and reason, it either ends the match or sets up the next round
 function resolveRound(match, reason, leaverId = null) {
   if (!match || match.status !== 'active') return;
 
-  const [idA, idB] = match.players;
-  const moveA = match.moves[idA];
-  const moveB = match.moves[idB];
-
-  let winnerId = null;
+  const isParty = match.ruleset.mode !== 'duel';
   let roundReason = reason;
+  markChanged('matches', match.id);
 
-  if (reason === 'moves') {
-    //Both players chose something? Uses pure RPS rules to determine winner
-    const result = rpsWinner(moveA, moveB);
-    if (result === 'A') winnerId = idA;
-    else if (result === 'B') winnerId = idB;
-  } else if (reason === 'timeout') {
-    //One player did not move in time? The one who did gets the win
-    if (moveA && !moveB) winnerId = idA;
-    else if (!moveA && moveB) winnerId = idB;
-  } else if (reason === 'disconnect' || reason === 'forfeit') {
-    //When someone leaves mid-match, the other player is awarded the round (and effectively the match)
-    if (leaverId && (leaverId === idA || leaverId === idB)) {
-      winnerId = leaverId === idA ? idB : idA;
-    } else {
-      //Fallback, please see which player still exists in our players map
-      if (!safeGetPlayer(idA)) winnerId = idB;
-      else if (!safeGetPlayer(idB)) winnerId = idA;
-    }
-  }
+  //Anything but another empty round breaks the idle streak (see IDLE_POLICY)
+  if (reason !== 'idle') match.idleRounds = 0;
 
-  //If a winner is found, increment their score in this match
-  if (winnerId) {
-    match.scores[winnerId] = (match.scores[winnerId] || 0) + 1;
+  //The rules themselves live in engine.js: both moved -> the ruleset decides, only one moved -> they win, someone left
+  //mid-match (or botched their reveal) -> the other player gets the round (and effectively the match). If we don't know
+  //who left, whoever is missing from our players map did. Party rounds can hand out points to several players at once
+  let winners;
+  let points = null;
+  if (isParty) {
+    ({ points, winners } = scorePartyRound(match));
+  } else {
+    const roundWinnerId = roundWinner(match, reason, leaverId, pid => !!safeGetPlayer(pid));
+    winners = roundWinnerId ? [roundWinnerId] : [];
   }
+  //A duel round (or a party round with one clear winner) has a winnerId; a shared party round only has winnerIds
+  const winnerId = winners.length === 1 ? winners[0] : null;
+
+  //Winners get a point each, or in a free-for-all, whatever they scored
+  match.players.forEach(pid => {
+    const gained = points ? points[pid] : (winners.includes(pid) ? 1 : 0);
+    match.scores[pid] = (match.scores[pid] || 0) + gained;
+  });
 
   //Every resolved round contributes to global stats, whether tie or win
   globalStats.totalRoundsPlayed++;
 
+  //Log the round for match history, by seat rather than socket id (see seatInfo in createMatch)
+  //responseMs is how long each player took to lock in (time spent paused for a reconnect counts too)
+  const roundLog = {
+    round: match.round,
+    moves: match.players.map(pid => match.moves[pid] || null),
+    winnerSeat: winnerId ? match.players.indexOf(winnerId) : null,
+    reason: roundReason,
+    scores: match.players.map(pid => match.scores[pid] || 0),
+    responseMs: match.players.map(pid => (match.movedAt[pid] != null ? match.movedAt[pid] - match.roundStartedAt : null)),
+    startedAt: match.roundStartedAt,
+    resolvedAt: clock.now()
+  };
+  if (isParty) {
+    roundLog.winnerSeats = winners.map(pid => match.players.indexOf(pid));
+    roundLog.points = match.players.map(pid => points[pid]);
+  }
+  match.rounds.push(roundLog);
+
+  //Bots learn from what their opponent just threw, and we learn from everyone else
+  recordBotObservations(match);
+  recordMoveStats(match);
+
   //Broadcast a full 'round_result' to the match room, including revealed moves
   io.to(match.roomId).emit('round_result', {
-    timestamp: Date.now(),
+    timestamp: clock.now(),
     matchId: match.id,
     round: match.round,
     winnerId,
+    winnerIds: winners,
+    points,
     reason: roundReason,
     scores: match.scores,
-    revealedMoves: {
-      [idA]: moveA,
-      [idB]: moveB
-    }
+    revealedMoves: Object.fromEntries(match.players.map(pid => [pid, match.moves[pid]])),
+    //Commit-reveal matches hand out every commitment with its salt so clients can re-hash and check them
+    proofs: match.ruleset.commitReveal ? buildRevealProofs(match) : null,
+    //Spectator votes stay secret until now
+    predictions: tallyPredictions(match, winners)
   });
 
-  //Checks the win condition. If someone has enough score, the match is done
-  const maxScore = Math.max(
-    match.scores[idA] || 0,
-    match.scores[idB] || 0
-  );
-
-  if (maxScore >= WINS_TO_TAKE_MATCH || reason === 'disconnect' || reason === 'forfeit') {
-    //Either someone hit the target score, or we had a decisive exit (disconnect/forfeit)
-    endMatch(match, winnerId);
+  //Checks the win condition. If someone has enough score (or, in a free-for-all, the rounds are up and someone leads),
+  //the match is done. So is a duel with a decisive exit (disconnect/forfeit)
+  if (isParty) {
+    const partyWinner = partyMatchWinner(match);
+    if (partyWinner) {
+      endMatch(match, partyWinner);
+      return;
+    }
   } else {
-    //Otherwise, we prepare for the next round(s):
-    //- increase round
-    //- reset moves
-    //- swap which player starts
-    //- set a fresh turnDeadline
-    match.round += 1;
-    match.moves[idA] = null;
-    match.moves[idB] = null;
-    match.currentTurn = idA === match.currentTurn ? idB : idA;
-    match.turnDeadline = Date.now() + ROUND_TIME_LIMIT;
-    emitTurnUpdate(match);
+    const maxScore = Math.max(...match.players.map(pid => match.scores[pid] || 0));
+    if (maxScore >= match.ruleset.winsToTakeMatch || FORFEIT_REASONS.includes(reason)) {
+      endMatch(match, winnerId);
+      return;
+    }
+  }
+
+  //Otherwise, we prepare for the next round(s):
+  //- increase round
+  //- reset moves
+  //- pass the starting player along
+  //- set a fresh turnDeadline
+  match.round += 1;
+  match.players.forEach(pid => { match.moves[pid] = null; });
+  match.movedAt = {};
+  match.phase = 'commit';
+  match.commitments = {};
+  match.salts = {};
+  match.botReveals = {};
+  match.predictions = {};
+  match.currentTurn = match.players[(match.players.indexOf(match.currentTurn) + 1) % match.players.length];
+  setRoundDeadline(match, match.ruleset.roundTimeMs);
+  match.roundStartedAt = clock.now();
+  emitTurnUpdate(match);
+}
+
+//buildHistoryRecord:
+//- Turns a finished match into the plain JSON record we keep in matchHistory
+//- Everything is by seat index, so a player who reconnected halfway through (and got a new socket id) still lines up
+//- winnerSeats lists every winner (both members of a winning team); winnerSeat is the same thing for one winner
+function buildHistoryRecord(match, winnerId) {
+  const winnerSeat = match.players.indexOf(winnerId);
+  return {
+    matchId: match.id,
+    startedAt: match.startedAt,
+    endedAt: clock.now(),
+    ruleset: {
+      id: match.ruleset.id,
+      name: match.ruleset.name,
+      moves: match.ruleset.moves,
+      bestOf: match.ruleset.bestOf,
+      winsToTakeMatch: match.ruleset.winsToTakeMatch,
+      roundTimeMs: match.ruleset.roundTimeMs,
+      commitReveal: match.ruleset.commitReveal,
+      mode: match.ruleset.mode
+    },
+    isPrivate: match.isPrivate,
+    vsBot: match.vsBot,
+    players: match.seatInfo,
+    teams: match.teams ? match.players.map(pid => match.teams[pid]) : null,
+    winnerSeat: winnerSeat >= 0 ? winnerSeat : null,
+    winnerSeats: matchWinners(match, winnerId).map(pid => match.players.indexOf(pid)),
+    finalScores: match.players.map(pid => match.scores[pid] || 0),
+    rounds: match.rounds
+  };
+}
+
+//summarizeHistoryRecord:
+//- The short version of a history record used in match lists (no per-round detail)
+function summarizeHistoryRecord(record) {
+  return {
+    matchId: record.matchId,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    rulesetName: record.ruleset.name,
+    bestOf: record.ruleset.bestOf,
+    mode: record.ruleset.mode || 'duel',
+    vsBot: record.vsBot,
+    players: record.players,
+    teams: record.teams || null,
+    winnerSeat: record.winnerSeat,
+    winnerSeats: record.winnerSeats || (record.winnerSeat == null ? [] : [record.winnerSeat]),
+    finalScores: record.finalScores,
+    roundCount: record.rounds.length
+  };
+}
+
+//matchWinners:
+//- Everyone who wins along with winnerId: their whole team in a team match, otherwise just them (or nobody)
+function matchWinners(match, winnerId) {
+  if (!winnerId || !match.players.includes(winnerId)) return [];
+  if (!match.teams) return [winnerId];
+  return match.players.filter(pid => match.teams[pid] === match.teams[winnerId]);
+}
+
+//hasRepeatedProfile:
+//- True if the same profileId turns up more than once in a match's seats (empty seats don't count)
+function hasRepeatedProfile(profileIds) {
+  const known = profileIds.filter(Boolean);
+  return new Set(known).size < known.length;
+}
+
+//recordMatchResult:
+//- The bookkeeping part of a result: W/L and streaks for everyone, Elo for a one-on-one, and the matchHistory record
+//- endMatch runs it for every match; a tournament no-show (see forfeitTournamentMatch) runs it on its own, since there's
+//  no match to end. Saving is up to the caller
+//- Returns { winnerIds, ratingChanges } for game_end
+function recordMatchResult(match, winnerId) {
+  //If we have a winner, bump everyone's win/loss stats. This goes through the stored profile (when there is one) so a
+  //player who disconnected mid-match still picks up the loss on their record. Bot matches are practice and don't count,
+  //and neither does someone playing themselves from two tabs (see sameProfile), or they could farm the boards for free
+  const winnerIds = matchWinners(match, winnerId);
+  const counts = !match.vsBot && !hasRepeatedProfile(Object.values(match.profileIds || {}));
+  markChanged('players', ...match.players);
+  if (winnerIds.length && counts) {
+    const results = match.players
+      .filter(pid => match.profileIds && profiles[match.profileIds[pid]])
+      .map(pid => ({ profileId: match.profileIds[pid], won: winnerIds.includes(pid) }));
+    addPeriodResults(leaderboardPeriodTotals, results, clock.now());
+    match.players.forEach(pid => {
+      const won = winnerIds.includes(pid);
+      const player = safeGetPlayer(pid);
+      const profile = profiles[match.profileIds && match.profileIds[pid]];
+      if (profile) {
+        if (won) profile.totalWins++;
+        else profile.totalLosses++;
+        profile.currentStreak = won ? (profile.currentStreak || 0) + 1 : 0;
+        profile.bestStreak = Math.max(profile.bestStreak || 0, profile.currentStreak);
+        if (player) {
+          player.totalWins = profile.totalWins;
+          player.totalLosses = profile.totalLosses;
+        }
+      } else if (player) {
+        if (won) player.totalWins++;
+        else player.totalLosses++;
+      }
+    });
+  }
+
+  //Elo update. Both sides need a stored profile for this to mean anything, and both deltas are worked out from the
+  //ratings before either one changes
+  let ratingChanges = {};
+  const [idA, idB] = match.players;
+  const profA = profiles[match.profileIds && match.profileIds[idA]];
+  const profB = profiles[match.profileIds && match.profileIds[idB]];
+  if (match.ruleset.mode === 'duel' && winnerId && profA && profB && counts && (winnerId === idA || winnerId === idB)) {
+    const [deltaA, deltaB] = ratingDeltas(profA.rating, profB.rating, winnerId === idA ? 1 : 0);
+    profA.rating += deltaA;
+    profB.rating += deltaB;
+    ratingChanges = {
+      [idA]: { rating: profA.rating, delta: deltaA },
+      [idB]: { rating: profB.rating, delta: deltaB }
+    };
+    [[idA, profA], [idB, profB]].forEach(([pid, prof]) => {
+      const player = safeGetPlayer(pid);
+      if (player) player.rating = prof.rating;
+    });
   }
+
+  //Keep a permanent record of the match (endMatch is about to drop it from memory)
+  matchHistory.push(buildHistoryRecord(match, winnerId));
+  if (matchHistory.length > MATCH_HISTORY_LIMIT) {
+    matchHistory = matchHistory.slice(-MATCH_HISTORY_LIMIT);
+  }
+  leaderboardCache = null;
+  return { winnerIds, ratingChanges };
 }
 
 //endMatch:
-//- Wraps up a match that has reached a conclusion
-//- Updates persistent W/L records for players
-//- Sends 'game_end' to everyone in the match room
-//- Moves players back to the lobby and cleans the match out of memory
-function endMatch(match, winnerId) {
+//- Wraps up a match that has reached a conclusion. In a team match winnerId can be either member of the winning team
+//- Updates persistent W/L records and Elo ratings for players (recordMatchResult) and writes them through to the store
+//  on disk. Party matches count towards W/L (every winner gets a win, everyone else a loss) but leave ratings alone, since Elo is a
+//  one-on-one thing
+//- Sends 'game_end' to everyone in the match room, with `reason` saying how it ended when that wasn't simply the score
+//  (e.g. 'idle', 'admin')
+//- Moves players back to the lobby, cleans the match out of memory and offers both players a rematch
+function endMatch(match, winnerId, reason = null) {
   if (!match || match.status === 'finished') return;
   match.status = 'finished';
+  markChanged('matches', match.id);
+  cancelRoundTimer(match.id);
   globalStats.totalMatchesPlayed++;
 
-  const [idA, idB] = match.players;
-  const pA = safeGetPlayer(idA);
-  const pB = safeGetPlayer(idB);
+  const { winnerIds, ratingChanges } = recordMatchResult(match, winnerId);
 
-  //If both players still exist and we have a winner, bump their win/loss stats
-  if (winnerId && pA && pB) {
-    if (winnerId === idA) {
-      pA.totalWins++;
-      pB.totalLosses++;
-    } else if (winnerId === idB) {
-      pB.totalWins++;
-      pA.totalLosses++;
-    }
-  }
+  //globalStats changed no matter what, so save now rather than hoping the process lives long enough to do it later
+  saveStore();
 
   //Send final match results to the match room over who won and what the final scores are
   io.to(match.roomId).emit('game_end', {
-    timestamp: Date.now(),
+    timestamp: clock.now(),
     matchId: match.id,
     winnerId,
-    finalScores: match.scores
+    winnerIds,
+    reason,
+    finalScores: match.scores,
+    ratingChanges
   });
 
+  //Nobody needs to reconnect to a match that is over
+  releaseHeldSeats(match.id);
+
   //For each players:
   //- removes them from any waiting queue
   //- moves them out of match room into lobby
   //- resets their match fields on the server
+  //- drops anyone whose seat was only being held for a reconnect, since there is no longer anything to come back to
   match.players.forEach(pid => {
+    //Party players who already left were sent back to the lobby then, and may well be in another match by now
+    if (match.out[pid]) return;
     removeFromWaitingQueue(pid);
     const socket = getSocketById(pid);
     const player = safeGetPlayer(pid);
+    if (player && (player.disconnectedAt || player.isBot)) {
+      //Bots only exist for the one match they were made for
+      if (player.isBot) cancelBotMove(pid);
+      delete players[pid];
+      return;
+    }
     if (socket && player) {
       socket.leave(match.roomId);
       socket.join('lobby');
@@ -393,125 +1300,2626 @@ function endMatch(match, winnerId) {
       }
       player.spectatingMatchId = null;
       player.roomId = 'lobby';
+      markChanged('players', pid);
     }
   }
 
   //Removes the match from my master matches table (i.e. it no longer exists)
   delete matches[match.id];
 
+  //Bracket matches move the tournament along (everyone is back in the lobby by now, so the next pairing can start)
+  if (match.tournamentId) {
+    recordTournamentResult(match, winnerId);
+  }
+
+  offerRematch(match, winnerId, reason);
+
   //Lobby composition changed, so tell all lobby clients
   broadcastLobbyState();
 }
 
+//allowedRatingGap:
+//- How far apart in rating this player is willing to be matched right now
+//- Starts at MATCHMAKING_BASE_GAP and grows the longer they have been sitting in waitingQueue
+function allowedRatingGap(player, now) {
+  const waitedSeconds = Math.max(0, now - (player.queuedAt || now)) / 1000;
+  return MATCHMAKING_BASE_GAP + waitedSeconds * MATCHMAKING_GAP_PER_SECOND;
+}
+
 //tryStartMatches:
-//- Simple matchmaking loop that pairs players in waitingQueue two at a time
+//- Skill-based matchmaking loop over waitingQueue
+//- Repeatedly picks the closest-rated pair whose gap fits inside the wider of the two players' allowed windows, so
+//whoever has waited longest is the one pulling in a less even opponent
+//- Only pairs players who queued for the same ruleset (same move set, length and timer)
 //- Only starts a match if both players still exist, want a match, and are in the lobby
-//- Called whenever queue status changes, or a rematch is requested
+//- Party queues (ffa / teams) are handled by startPartyMatches instead, since they need a full table, not a pair
+//- Called whenever queue status changes, a rematch is requested, and once a second so waiting windows keep widening
 function tryStartMatches() {
-  while (waitingQueue.length >= 2) {
-    const playerIdA = waitingQueue.shift();
-    const playerIdB = waitingQueue.shift();
+  //This is mainly just for security: players who vanished or no longer want a match get dropped from the queue entirely
+  const queued = waitingQueue.length;
+  waitingQueue = waitingQueue.filter(pid => {
+    const p = safeGetPlayer(pid);
+    return p && p.wantsMatch && !p.disconnectedAt;
+  });
+  if (waitingQueue.length !== queued) markChanged('queue');
+
+  startPartyMatches();
 
-    const pA = safeGetPlayer(playerIdA);
-    const pB = safeGetPlayer(playerIdB);
+  while (waitingQueue.length >= 2) {
+    const now = clock.now();
+    //Only pair people who are actually standing in the lobby (not off spectating a match)
+    const ready = waitingQueue
+      .map(safeGetPlayer)
+      .filter(p => p.roomId === 'lobby' && p.queueRuleset.mode === 'duel');
 
-    //This is mainly just for security but only match players if both explicitly want a match and are in lobby
-    if (
-      !pA || !pB ||
-      !pA.wantsMatch || !pB.wantsMatch ||
-      pA.roomId !== 'lobby' ||
-      pB.roomId !== 'lobby'
-    ) {
-      //If one of them is no longer valid for a match, skip this pair and continue looking for the next pair in the queue.
-      continue;
+    let bestPair = null;
+    let bestGap = Infinity;
+    for (let i = 0; i < ready.length; i++) {
+      for (let j = i + 1; j < ready.length; j++) {
+        if (ready[i].queueRuleset.key !== ready[j].queueRuleset.key || sameProfile(ready[i], ready[j])) continue;
+        const gap = Math.abs(ready[i].rating - ready[j].rating);
+        const allowed = Math.max(allowedRatingGap(ready[i], now), allowedRatingGap(ready[j], now));
+        if (gap <= allowed && gap < bestGap) {
+          bestPair = [ready[i].id, ready[j].id];
+          bestGap = gap;
+        }
+      }
     }
 
-    createMatch(playerIdA, playerIdB);
-  }
-}
+    //Nobody is close enough yet; the once-a-second retry will try again with wider windows
+    if (!bestPair) return;
 
-//handlePlayerLeaveMatch:
-//- Shared logic function when a player leaves a match intentionally (forfeit) or unintentionally (disconnect/AFK).
-//- Finds the match and calls resolveRound with a special reason so the other player wins
-//- If the match doesn’t exist, it just resets the player back to lobby state
-function handlePlayerLeaveMatch(socketId, reason) {
-  const player = safeGetPlayer(socketId);
-  if (!player || !player.matchId) return;
-  const match = matches[player.matchId];
-  if (!match) {
-    //If the match is already gone, just clean up the player’s state.
-    player.matchId = null;
-    player.roomId = 'lobby';
-    player.role = 'spectator';
-    player.wantsMatch = false;
-    return;
+    const [playerIdA, playerIdB] = bestPair;
+    removeFromWaitingQueue(playerIdA);
+    removeFromWaitingQueue(playerIdB);
+    createMatch([playerIdA, playerIdB], safeGetPlayer(playerIdA).queueRuleset);
   }
-
-  //We don’t need to fake a move here; we just say “someone left” and let resolveRound handle the rest based on the reason and leaverId.
-  match.moves[socketId] = match.moves[socketId] || null;
-  resolveRound(match, reason, socketId);
 }
 
-//_Heartbeat/AFK cleaner_
+//startPartyMatches:
+//- Starts a party match for every ruleset key that has enough lobby players queued (first come, first served; no
+//  rating window, since waiting for N close ratings could take forever)
+//- Teams are balanced by rating: the best and worst player against the middle two (seats alternate teams, so the
+//  seat order is [1st, 2nd, 4th, 3rd])
+//- Nobody gets two seats in one match, even if their profile is somehow queued twice
+function startPartyMatches() {
+  const tables = {};
+  waitingQueue
+    .map(safeGetPlayer)
+    .filter(p => p.roomId === 'lobby' && p.queueRuleset.mode !== 'duel')
+    .forEach(p => {
+      (tables[p.queueRuleset.key] = tables[p.queueRuleset.key] || []).push(p);
+    });
 
-//This interval:
-//- Periodically checks last heartbeat time for each player
-//- If a player is 'too quiet' for HEARTBEAT_TIMEOUT, we treat them as gone
-//- If a socket exists, we force-disconnect it (which triggers our disconnect logic)
-//- If not, we clean up the player and their match directly
-setInterval(() => {
-  const now = Date.now();
-  for (const [id, p] of Object.entries(players)) {
-    if (now - p.timeLastHeartbeat > HEARTBEAT_TIMEOUT) {
-      const socket = getSocketById(id);
-      if (socket) {
-        socket.disconnect(true);
-      } else {
-        removeFromWaitingQueue(id);
-        if (p.matchId) {
-          handlePlayerLeaveMatch(id, 'disconnect');
-        }
-        p.spectatingMatchId = null;
-        delete players[id];
+  Object.values(tables).forEach(queued => {
+    const ruleset = queued[0].queueRuleset;
+    for (;;) {
+      let seated = [];
+      queued.forEach(p => {
+        if (seated.length < ruleset.playerCount && !seated.some(s => sameProfile(s, p))) seated.push(p);
+      });
+      if (seated.length < ruleset.playerCount) break;
+      seated.forEach(p => queued.splice(queued.indexOf(p), 1));
+      if (ruleset.mode === 'teams') {
+        const byRating = seated.slice().sort((a, b) => b.rating - a.rating);
+        seated = [byRating[0], byRating[1], byRating[3], byRating[2]];
       }
+      seated.forEach(p => removeFromWaitingQueue(p.id));
+      createMatch(seated.map(p => p.id), ruleset);
     }
-  }
-}, 5000);
+  });
+}
 
-//_Round timeout checker_
+//_Challenges and private rooms_
+//Two more ways into a match besides waitingQueue. Both of them end in the exact same createMatch as the queue does
 
-//This timer:
-//- Runs every 500ms and looks at every active match
-//- If the current time is past the match’s turnDeadline, we check moves
-//- If at least one player moved, we resolve as a timeout round
-//- If nobody moved, we simply reset the deadline and keep waiting (This avoids a soft-lock where both players just never move)
-setInterval(() => {
-  const now = Date.now();
-  Object.values(matches).forEach(match => {
-    if (!match || match.status !== 'active') return;
-    if (now < match.turnDeadline) return;
+//isAvailableForMatch:
+//- True if this player is connected, sitting in the lobby, and not already in a match
+function isAvailableForMatch(player) {
+  return !!player && !player.disconnectedAt && !player.matchId && player.roomId === 'lobby';
+}
 
-    const [idA, idB] = match.players;
-    const moveA = match.moves[idA];
-    const moveB = match.moves[idB];
+//sameProfile:
+//- True when two players are one person on two sockets. joinLobby signs the older socket out, so this is only ever the
+//  last line of defence against someone playing themselves. Sockets that haven't joined yet have no profile to share
+function sameProfile(a, b) {
+  return !!(a && b && a.profileId && a.profileId === b.profileId);
+}
 
-    if (moveA || moveB) {
-      resolveRound(match, 'timeout');
-    } else {
-      match.turnDeadline = Date.now() + ROUND_TIME_LIMIT;
-      emitTurnUpdate(match);
-    }
-  });
-}, 500);
+//buildDuelRuleset:
+//- buildRuleset for the ways into a match that are one-on-one by nature (challenges, private rooms, bots and
+//  tournaments), so a party mode picked in the lobby doesn't carry over into them
+function buildDuelRuleset(options) {
+  return buildRuleset(Object.assign({}, options, { mode: 'duel' }));
+}
 
-//_Socket.io event wiring_
-//The heart of the server, and the that handles what happens when a client connects, sends events, and disconnects
-io.on('connection', socket => {
-  console.log('Client connected:', socket.id);
+//closeChallenge:
+//- Removes a pending challenge, cancels its expiry timer and tells both sides why it went away
+//- reason is one of 'declined' | 'cancelled' | 'expired' | 'busy' | 'unavailable' | 'accepted'
+function closeChallenge(challengeId, reason) {
+  const challenge = challenges[challengeId];
+  if (!challenge) return;
+  clock.clearTimeout(challenge.timer);
+  delete challenges[challengeId];
+  markChanged('challenges', challengeId);
 
-  //Newly connected players always start as lobby spectators, *not* queued. I immediately create a server-side player record,
-  //even before I know their name
-  players[socket.id] = {
+  const payload = { timestamp: clock.now(), challengeId, reason };
+  io.to(challenge.fromId).emit('challengeClosed', payload);
+  io.to(challenge.toId).emit('challengeClosed', payload);
+}
+
+//closePrivateRoom:
+//- Throws away a private room code and lets the host know (reason works like closeChallenge)
+function closePrivateRoom(code, reason) {
+  const room = privateRooms[code];
+  if (!room) return;
+  clock.clearTimeout(room.timer);
+  delete privateRooms[code];
+  markChanged('privateRooms', code);
+  io.to(room.hostId).emit('privateRoomClosed', { timestamp: clock.now(), code, reason });
+}
+
+//closeInvitesFor:
+//- Closes every challenge this player sent or received, any private room they're hosting and any rematch offer
+//  they're part of
+//- Called when they start a match (they're busy) or disconnect (they're gone)
+function closeInvitesFor(playerId, reason) {
+  Object.values(challenges)
+    .filter(c => c.fromId === playerId || c.toId === playerId)
+    .forEach(c => closeChallenge(c.id, reason));
+  Object.values(rematchOffers)
+    .filter(offer => offer.players.includes(playerId))
+    .forEach(offer => closeRematch(offer.id, reason));
+  Object.values(privateRooms)
+    .filter(room => room.hostId === playerId)
+    .forEach(room => closePrivateRoom(room.code, reason));
+}
+
+//generateRoomCode:
+//- Random, unused, human-friendly code for a private room
+function generateRoomCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)];
+    }
+  } while (privateRooms[code]);
+  return code;
+}
+
+//_Rematches_
+//Once a match is over both players get asked if they want to go again, same opponent and same ruleset. If both say yes
+//in time it goes straight to createMatch with the series score carried over; if not, they're just back in the lobby
+//and can queue like normal
+
+//offerRematch:
+//- Called at the end of endMatch, when both players are back in the lobby
+//- No offer for bot, bracket or party matches, for matches that were aborted or stopped by an operator, or if either
+//  player is gone or has blocked the other
+function offerRematch(match, winnerId, reason) {
+  if (match.vsBot || match.tournamentId || reason === 'idle' || reason === 'admin') return;
+  if (match.ruleset.mode !== 'duel') return;
+  const [playerA, playerB] = match.players.map(safeGetPlayer);
+  if (!isAvailableForMatch(playerA) || !isAvailableForMatch(playerB)) return;
+  if (hasBlocked(playerA, playerB.profileId) || hasBlocked(playerB, playerA.profileId)) return;
+
+  const previous = match.series || { games: 0, wins: [0, 0] };
+  const offerId = crypto.randomBytes(6).toString('hex');
+  const offer = {
+    id: offerId,
+    players: match.players.slice(),
+    accepted: { [playerA.id]: false, [playerB.id]: false },
+    ruleset: match.ruleset,
+    isPrivate: match.isPrivate,
+    series: {
+      games: previous.games + 1,
+      wins: match.players.map((pid, seat) => previous.wins[seat] + (pid === winnerId ? 1 : 0))
+    },
+    expiresAt: clock.now() + REMATCH_TIMEOUT_MS,
+    timer: clock.setTimeout(() => closeRematch(offerId, 'expired'), REMATCH_TIMEOUT_MS)
+  };
+  rematchOffers[offerId] = offer;
+  markChanged('rematchOffers', offerId);
+
+  const payload = {
+    timestamp: clock.now(),
+    offerId,
+    matchId: match.id,
+    players: offer.players.map(describeMatchPlayer),
+    ruleset: offer.ruleset,
+    series: offer.series,
+    expiresAt: offer.expiresAt
+  };
+  offer.players.forEach(pid => io.to(pid).emit('rematchOffer', payload));
+}
+
+//closeRematch:
+//- Same idea as closeChallenge: drops the offer, stops its countdown and tells both players why
+//- reason is one of 'declined' | 'expired' | 'busy' | 'unavailable' | 'accepted'
+function closeRematch(offerId, reason) {
+  const offer = rematchOffers[offerId];
+  if (!offer) return;
+  clock.clearTimeout(offer.timer);
+  delete rematchOffers[offerId];
+  markChanged('rematchOffers', offerId);
+  const payload = { timestamp: clock.now(), offerId, reason };
+  offer.players.forEach(pid => io.to(pid).emit('rematchClosed', payload));
+}
+
+//findRematchOffer:
+//- The open offer this player is part of, if any (there's never more than one, since it needs a match to have just ended)
+function findRematchOffer(playerId) {
+  return Object.values(rematchOffers).find(offer => offer.players.includes(playerId)) || null;
+}
+
+//answerRematch:
+//- One player's yes or no. A no ends it for both; the second yes starts the new match (if both are still free)
+//- After the first yes, both get a rematchUpdate so the other one knows they're being waited on
+function answerRematch(offer, playerId, accept) {
+  if (!accept) {
+    closeRematch(offer.id, 'declined');
+    return;
+  }
+
+  offer.accepted[playerId] = true;
+  markChanged('rematchOffers', offer.id);
+  if (!offer.players.every(pid => offer.accepted[pid])) {
+    const payload = { timestamp: clock.now(), offerId: offer.id, accepted: offer.players.filter(pid => offer.accepted[pid]) };
+    offer.players.forEach(pid => io.to(pid).emit('rematchUpdate', payload));
+    return;
+  }
+
+  const [idA, idB] = offer.players;
+  if (!isAvailableForMatch(safeGetPlayer(idA)) || !isAvailableForMatch(safeGetPlayer(idB))) {
+    closeRematch(offer.id, 'unavailable');
+    return;
+  }
+
+  closeRematch(offer.id, 'accepted');
+  removeFromWaitingQueue(idA);
+  removeFromWaitingQueue(idB);
+  createMatch([idA, idB], offer.ruleset, { isPrivate: offer.isPrivate, series: offer.series });
+}
+
+//_Bot opponents_
+//Bots are regular entries in players (flagged isBot, with no socket) so createMatch, resolveRound and endMatch treat them
+//like anyone else. Each one has a strategy that picks its move from the history of the match so far
+
+//pickRandom:
+//- Returns a random element from a non-empty array
+function pickRandom(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+//counterMove:
+//- Picks a move that beats `predicted` under this ruleset (random among them if there are several, like in RPSLS)
+//- Falls back to a random legal move if we have no prediction
+function counterMove(predicted, ruleset) {
+  const winners = ruleset.moves.filter(m => (ruleset.beats[m] || []).includes(predicted));
+  return winners.length ? pickRandom(winners) : pickRandom(ruleset.moves);
+}
+
+//mostCommon:
+//- Most frequent value in a list (ties go to whichever got there first), or null for an empty list
+function mostCommon(list) {
+  const counts = {};
+  let best = null;
+  list.forEach(item => {
+    counts[item] = (counts[item] || 0) + 1;
+    if (best === null || counts[item] > counts[best]) best = item;
+  });
+  return best;
+}
+
+//BOT_STRATEGIES:
+//- Each strategy gets the bot's history ([{ self, opponent }] per round, opponent may be null after a timeout) and the
+//match ruleset, and returns the move to play
+const BOT_STRATEGIES = {
+  random: {
+    name: 'Random',
+    pick: (history, ruleset) => pickRandom(ruleset.moves)
+  },
+  //Counts everything the opponent has thrown so far and counters their favourite
+  frequency: {
+    name: 'Frequency Counter',
+    pick: (history, ruleset) => counterMove(mostCommon(history.map(h => h.opponent).filter(Boolean)), ruleset)
+  },
+  //Looks at what the opponent usually throws right after the move they threw last, and counters that. Without enough
+  //history to go on it plays like the frequency counter
+  markov: {
+    name: 'Markov Chain',
+    pick: (history, ruleset) => {
+      const seen = history.map(h => h.opponent).filter(Boolean);
+      const last = seen[seen.length - 1];
+      const followers = [];
+      for (let i = 0; i < seen.length - 1; i++) {
+        if (seen[i] === last) followers.push(seen[i + 1]);
+      }
+      const predicted = followers.length ? mostCommon(followers) : mostCommon(seen);
+      return counterMove(predicted, ruleset);
+    }
+  },
+  //Assumes the opponent will repeat themselves and plays whatever beats their last move
+  beatLast: {
+    name: 'Beat Last Move',
+    pick: (history, ruleset) => {
+      const seen = history.map(h => h.opponent).filter(Boolean);
+      return counterMove(seen[seen.length - 1] || null, ruleset);
+    }
+  }
+};
+
+//Pending "bot is thinking" timers, keyed by bot id
+let botMoveTimers = {};
+
+//createBot:
+//- Adds a bot to players and returns its id. Unknown strategies fall back to random
+function createBot(strategyId) {
+  const strategy = BOT_STRATEGIES[strategyId] ? strategyId : 'random';
+  const id = `bot:${crypto.randomBytes(6).toString('hex')}`;
+  players[id] = {
+    id,
+    name: `Bot (${BOT_STRATEGIES[strategy].name})`,
+    preferredColor: '#9aa0a6',
+    role: 'player',
+    roomId: null,
+    matchId: null,
+    spectatingMatchId: null,
+    profileId: null,
+    totalWins: 0,
+    totalLosses: 0,
+    rating: null,
+    queueRuleset: null,
+    timeLastHeartbeat: clock.now(),
+    wantsMatch: false,
+    queuedAt: null,
+    disconnectedAt: null,
+    allowBotBackfill: false,
+    isBot: true,
+    botStrategy: strategy,
+    botHistory: []
+  };
+  markChanged('players', id);
+  return id;
+}
+
+//startBotMatch:
+//- Creates a bot with the given strategy and starts a match between it and a human player
+function startBotMatch(humanId, strategyId, ruleset) {
+  const botId = createBot(strategyId);
+  removeFromWaitingQueue(humanId);
+  const match = createMatch([humanId, botId], ruleset);
+  const bot = safeGetPlayer(botId);
+  bot.matchId = match.id;
+  bot.roomId = match.roomId;
+  console.log(`Started bot match ${match.id}: ${humanId} vs ${bot.name}`);
+  return match;
+}
+
+//scheduleBotMoves:
+//- For each bot in the match that hasn't moved yet this round, wait a human-ish moment and then submit its move
+//- The delay always lands inside the round timer, so a bot never times out
+function scheduleBotMoves(match) {
+  match.players.forEach(pid => {
+    const bot = safeGetPlayer(pid);
+    if (!bot || !bot.isBot || match.moves[pid] || match.commitments[pid]) return;
+
+    cancelBotMove(pid);
+    const maxDelay = Math.max(0, Math.min(BOT_MAX_THINK_MS, match.ruleset.roundTimeMs - 500));
+    const minDelay = Math.min(BOT_MIN_THINK_MS, maxDelay);
+    const delay = minDelay + Math.random() * (maxDelay - minDelay);
+    const round = match.round;
+
+    botMoveTimers[pid] = clock.setTimeout(() => {
+      delete botMoveTimers[pid];
+      if (match.status !== 'active' || match.round !== round || match.moves[pid] || match.commitments[pid]) return;
+      const move = BOT_STRATEGIES[bot.botStrategy].pick(bot.botHistory, match.ruleset);
+      if (match.ruleset.commitReveal) {
+        //Bots play by the same rules: commit now, reveal when the reveal phase starts
+        const salt = crypto.randomBytes(16).toString('hex');
+        match.botReveals[pid] = { move, salt };
+        markChanged('matches', match.id);
+        submitCommitment(match, pid, hashCommitment(match.id, round, move, salt));
+      } else {
+        submitMove(match, pid, move);
+      }
+    }, delay);
+  });
+}
+
+//cancelBotMove:
+//- Stops a bot's pending move (its match ended, or a new round is starting)
+function cancelBotMove(botId) {
+  if (botMoveTimers[botId]) {
+    clock.clearTimeout(botMoveTimers[botId]);
+    delete botMoveTimers[botId];
+  }
+}
+
+//recordBotObservations:
+//- Called as each round resolves; appends this round's moves to every bot's history so the strategies have data
+function recordBotObservations(match) {
+  const [idA, idB] = match.players;
+  [[idA, idB], [idB, idA]].forEach(([selfId, opponentId]) => {
+    const bot = safeGetPlayer(selfId);
+    if (!bot || !bot.isBot) return;
+    bot.botHistory.push({ self: match.moves[selfId], opponent: match.moves[opponentId] });
+    markChanged('players', selfId);
+  });
+}
+
+//backfillWithBots:
+//- Anyone still sitting alone in the queue after BOT_BACKFILL_MS (and who said bots are OK) gets a random bot
+function backfillWithBots() {
+  if (BOT_BACKFILL_MS <= 0) return;
+  const now = clock.now();
+  waitingQueue.slice().forEach(pid => {
+    const player = safeGetPlayer(pid);
+    if (!player || !player.allowBotBackfill || !isAvailableForMatch(player)) return;
+    //Bots only play one-on-one, so party queues just keep waiting for people
+    if (player.queueRuleset.mode !== 'duel') return;
+    if (now - (player.queuedAt || now) < BOT_BACKFILL_MS) return;
+    startBotMatch(pid, pickRandom(Object.keys(BOT_STRATEGIES)), player.queueRuleset);
+  });
+}
+
+//submitMove:
+//- Records a (validated) move for one player and resolves the round as soon as everyone still playing is in
+//- Shared by real players (playerMove) and bots
+function submitMove(match, playerId, move) {
+  match.moves[playerId] = move;
+  match.movedAt[playerId] = clock.now();
+  markChanged('matches', match.id);
+  console.log(`Move from ${playerId} in match ${match.id}: ${move}`);
+  emitMoveLocked(match, playerId);
+
+  if (playersInPlay(match).every(pid => match.moves[pid])) {
+    resolveRound(match, 'moves');
+  }
+}
+
+//_Commit-reveal_
+
+//submitCommitment:
+//- Records a player's commitment for this round and tells the room (hashes give nothing away)
+//- Once both players have committed, the reveal phase starts straight away
+function submitCommitment(match, playerId, commitment) {
+  match.commitments[playerId] = commitment;
+  //Committing is when the choice gets made; the reveal afterwards is just paperwork
+  match.movedAt[playerId] = clock.now();
+  markChanged('matches', match.id);
+  console.log(`Commitment from ${playerId} in match ${match.id}`);
+
+  io.to(match.roomId).emit('move_committed', {
+    timestamp: clock.now(),
+    matchId: match.id,
+    round: match.round,
+    playerId,
+    commitment
+  });
+  emitMoveLocked(match, playerId);
+
+  if (match.players.every(pid => match.commitments[pid])) {
+    startRevealPhase(match);
+  }
+}
+
+//startRevealPhase:
+//- Asks everyone who committed to reveal, with a fresh (shorter) deadline
+//- Bots reveal immediately since we're holding their move and salt anyway
+function startRevealPhase(match) {
+  match.phase = 'reveal';
+  markChanged('matches', match.id);
+  setRoundDeadline(match, REVEAL_TIME_MS);
+  io.to(match.roomId).emit('reveal_phase', {
+    timestamp: clock.now(),
+    matchId: match.id,
+    round: match.round,
+    commitments: match.commitments,
+    expiresAt: match.turnDeadline
+  });
+  emitTurnUpdate(match);
+
+  Object.entries(match.botReveals).forEach(([pid, reveal]) => {
+    if (match.status === 'active' && match.phase === 'reveal') submitReveal(match, pid, reveal.move, reveal.salt);
+  });
+}
+
+//submitReveal:
+//- Checks a reveal against the player's commitment. A mismatch (or a move that isn't in this ruleset) forfeits the match
+//- Once everyone who committed has revealed, the round resolves like normal ('timeout' if only one side ever committed)
+function submitReveal(match, playerId, move, salt) {
+  if (match.phase !== 'reveal' || !match.commitments[playerId] || match.moves[playerId]) return;
+
+  if (!match.ruleset.moves.includes(move) ||
+      hashCommitment(match.id, match.round, move, salt) !== match.commitments[playerId]) {
+    console.log(`Bad reveal from ${playerId} in match ${match.id}, forfeiting`);
+    resolveRound(match, 'bad_reveal', playerId);
+    return;
+  }
+
+  match.moves[playerId] = move;
+  match.salts[playerId] = salt;
+  markChanged('matches', match.id);
+  console.log(`Reveal from ${playerId} in match ${match.id}: ${move}`);
+
+  const committed = match.players.filter(pid => match.commitments[pid]);
+  if (committed.every(pid => match.moves[pid])) {
+    resolveRound(match, committed.length === match.players.length ? 'moves' : 'timeout');
+  }
+}
+
+//buildRevealProofs:
+//- { [playerId]: { commitment, salt } } for round_result, so clients can re-hash each revealed move themselves
+function buildRevealProofs(match) {
+  const proofs = {};
+  match.players.forEach(pid => {
+    if (match.commitments[pid]) {
+      proofs[pid] = { commitment: match.commitments[pid], salt: match.salts[pid] || null };
+    }
+  });
+  return proofs;
+}
+
+//handlePlayerLeaveMatch:
+//- Shared logic function when a player leaves a match intentionally (forfeit) or unintentionally (disconnect/AFK).
+//- Finds the match and calls resolveRound with a special reason so the other player wins
+//- Party matches carry on without them instead (see leavePartyMatch)
+//- If the match doesn’t exist, it just resets the player back to lobby state
+function handlePlayerLeaveMatch(socketId, reason) {
+  const player = safeGetPlayer(socketId);
+  if (!player || !player.matchId) return;
+  const match = matches[player.matchId];
+  if (!match) {
+    //If the match is already gone, just clean up the player’s state.
+    player.matchId = null;
+    player.roomId = 'lobby';
+    player.role = 'spectator';
+    player.wantsMatch = false;
+    markChanged('players', socketId);
+    return;
+  }
+
+  if (match.ruleset.mode !== 'duel') {
+    leavePartyMatch(match, socketId, reason);
+    return;
+  }
+
+  //We don’t need to fake a move here; we just say “someone left” and let resolveRound handle the rest based on the reason and leaverId.
+  match.moves[socketId] = match.moves[socketId] || null;
+  resolveRound(match, reason, socketId);
+}
+
+//leavePartyMatch:
+//- One player walking out doesn't end a party match for everyone else. They're marked out (their score stays up, and
+//  they'll get a loss when it ends), sent back to the lobby, and the rest play on
+//- partyMatchWinner decides if that was the end of it anyway: the last one left in a free-for-all, or the only team
+//  with anyone left, wins
+//- If everyone else had already moved, the round resolves right away rather than waiting on someone who isn't coming
+function leavePartyMatch(match, playerId, reason) {
+  match.out[playerId] = reason;
+  match.moves[playerId] = null;
+  markChanged('matches', match.id);
+  markChanged('players', playerId);
+  console.log(`Player ${playerId} left party match ${match.id} (${reason})`);
+  io.to(match.roomId).emit('playerOut', { timestamp: clock.now(), matchId: match.id, playerId, reason });
+
+  const player = safeGetPlayer(playerId);
+  const socket = getSocketById(playerId);
+  if (socket) {
+    socket.leave(match.roomId);
+    socket.join('lobby');
+  }
+  if (player) {
+    player.roomId = 'lobby';
+    player.matchId = null;
+    player.role = 'spectator';
+    player.wantsMatch = false;
+  }
+
+  const winner = partyMatchWinner(match);
+  if (winner) {
+    endMatch(match, winner);
+    return;
+  }
+  //If it was their held seat that had the clock frozen, it can run again now
+  if (match.pausedRemainingMs != null && resumeRoundClock(match)) emitTurnUpdate(match);
+  if (playersInPlay(match).every(pid => match.moves[pid])) resolveRound(match, 'moves');
+  broadcastLobbyState();
+}
+
+//handlePlayerDisconnect:
+//- Shared cleanup for a socket that is gone for good (socket.io noticed, or its heartbeat timer gave up on it)
+//- Players in an active match get their seat held for a reconnect; everyone else is removed right away
+function handlePlayerDisconnect(socketId) {
+  clearHeartbeat(socketId);
+  const player = safeGetPlayer(socketId);
+  if (!player) return;
+
+  removeFromWaitingQueue(socketId);
+  closeInvitesFor(socketId, 'unavailable');
+  const watched = matches[player.spectatingMatchId];
+  player.spectatingMatchId = null;
+  markChanged('players', socketId);
+  broadcastSpectatorCount(watched);
+
+  if (player.matchId && holdSeatForReconnect(socketId)) {
+    broadcastLobbyState();
+    return;
+  }
+
+  if (player.matchId) {
+    handlePlayerLeaveMatch(socketId, 'disconnect');
+  }
+
+  delete players[socketId];
+  broadcastLobbyState();
+}
+
+//_Spectators_
+//People watching a match sit in its room with spectatingMatchId set. While a round runs they see who has locked in
+//(moveLocked, never the move itself) and can vote on who'll take the round with predictRound; the tally only comes
+//out with round_result. Spectator counts go to the match room (spectatorCount) and into lobbyState.activeMatches
+
+//countSpectators:
+function countSpectators(matchId) {
+  return Object.values(players).filter(p => p.spectatingMatchId === matchId && !p.disconnectedAt).length;
+}
+
+//leaveSpectating:
+//- Takes a player out of the match they were watching: out of its room, off its spectator count. Where they go next is
+//  up to the caller
+function leaveSpectating(player) {
+  const watched = matches[player.spectatingMatchId];
+  player.spectatingMatchId = null;
+  markChanged('players', player.id);
+  if (!watched) return;
+  const socket = getSocketById(player.id);
+  if (socket) socket.leave(watched.roomId);
+  broadcastSpectatorCount(watched);
+}
+
+//broadcastSpectatorCount:
+//- Tells the match room how many people are watching. Call it after anyone starts or stops watching `match`
+function broadcastSpectatorCount(match) {
+  if (!match || match.status !== 'active') return;
+  io.to(match.roomId).emit('spectatorCount', {
+    timestamp: clock.now(),
+    matchId: match.id,
+    count: countSpectators(match.id)
+  });
+}
+
+//emitMoveLocked:
+//- Lets the whole room know `playerId` has picked (or committed to) a move this round, without saying what it is
+function emitMoveLocked(match, playerId) {
+  io.to(match.roomId).emit('moveLocked', {
+    timestamp: clock.now(),
+    matchId: match.id,
+    round: match.round,
+    playerId
+  });
+}
+
+//recordPrediction:
+//- A spectator's vote for this round: one of the players, or 'tie'. They can change their mind until the round
+//  resolves; the last vote counts
+//- Only people watching this match get a say, not the players in it. Returns false if the vote doesn't count
+function recordPrediction(match, spectatorId, pick) {
+  const spectator = safeGetPlayer(spectatorId);
+  if (!spectator || spectator.spectatingMatchId !== match.id || match.players.includes(spectatorId)) return false;
+  if (pick !== 'tie' && !match.players.includes(pick)) return false;
+  match.predictions[spectatorId] = pick;
+  markChanged('matches', match.id);
+  return true;
+}
+
+//tallyPredictions:
+//- How the vote went for the round that just resolved: counts per player (and 'tie'), and how many got it right
+//- winners is everyone who took the round; a vote for any one of them counts as right
+function tallyPredictions(match, winners) {
+  const votes = { tie: 0 };
+  match.players.forEach(pid => { votes[pid] = 0; });
+  const picks = Object.values(match.predictions).filter(pick => pick in votes);
+  picks.forEach(pick => { votes[pick]++; });
+  return {
+    votes,
+    total: picks.length,
+    correct: picks.filter(pick => (winners.length ? winners.includes(pick) : pick === 'tie')).length
+  };
+}
+
+//_Tournaments_
+//A tournament is a fixed bracket of "tournament matches" (tm for short), laid out by buildBracket in engine.js. Each tm
+//has two slots that are either filled at the start (round one of the winners bracket) or fed by another tm's winner or
+//loser. advanceTournament keeps pushing
+//results along, turns any tm with an empty slot into a bye, and marks the rest ready; runTournaments (every second) then
+//starts ready ones through createMatch as soon as both players are free, or hands a no-show loss to whoever isn't.
+//Double elimination uses the usual losers bracket and a single grand final (no bracket reset)
+
+//findOnlinePlayerByProfile:
+//- The connected player (if any) behind a profileId
+function findOnlinePlayerByProfile(profileId) {
+  return Object.values(players).find(p => p.profileId === profileId && !p.isBot && !p.disconnectedAt) || null;
+}
+
+//entrantSeed:
+//- Lower is better. Used to break ties when a bracket match has no winner at all
+function entrantSeed(tournament, profileId) {
+  const entrant = tournament.entrants.find(e => e.profileId === profileId);
+  return entrant ? entrant.seed : Infinity;
+}
+
+//completeTournamentMatch:
+//- Records a result and feeds the winner and loser into whatever slots are waiting on them
+function completeTournamentMatch(tournament, tm, winner, reason) {
+  const [a, b] = tm.slots.map(s => s.value);
+  tm.status = 'done';
+  tm.winner = winner;
+  tm.loser = winner === a ? b : (winner === b ? a : null);
+  tm.reason = reason;
+  markChanged('tournaments', tournament.id);
+  Object.values(tournament.bracket).forEach(other => {
+    other.slots.forEach(slot => {
+      if (slot.source && slot.source.from === tm.id) slot.value = slot.source.take === 'winner' ? tm.winner : tm.loser;
+    });
+  });
+}
+
+//advanceTournament:
+//- Settles byes and marks matches ready until nothing else changes, then checks whether the final has been decided
+function advanceTournament(tournament) {
+  let changed = true;
+  while (changed) {
+    changed = false;
+    Object.values(tournament.bracket).forEach(tm => {
+      if (tm.status !== 'pending' || tm.slots.some(s => s.value === undefined)) return;
+      const [a, b] = tm.slots.map(s => s.value);
+      if (!a || !b) {
+        completeTournamentMatch(tournament, tm, a || b || null, 'bye');
+        changed = true;
+        return;
+      }
+      tm.status = 'ready';
+      tm.readyAt = clock.now();
+      markChanged('tournaments', tournament.id);
+      [a, b].forEach(pid => {
+        const p = findOnlinePlayerByProfile(pid);
+        const opponent = profiles[pid === a ? b : a];
+        if (p) {
+          sendChatNotice(p.id, `${tournament.name}: your match against ${opponent ? opponent.name : 'your opponent'} is ready. ` +
+            `Be free within ${TOURNAMENT_NO_SHOW_MS / 1000}s or it counts as a forfeit.`);
+        }
+      });
+    });
+  }
+
+  const final = tournament.bracket[tournament.finalId];
+  if (final && final.status === 'done' && tournament.status === 'running') {
+    tournament.status = 'finished';
+    tournament.finishedAt = clock.now();
+    tournament.championId = final.winner;
+    const champion = profiles[final.winner];
+    console.log(`Tournament ${tournament.id} finished, champion: ${champion ? champion.name : 'nobody'}`);
+    pruneFinishedTournaments();
+  }
+}
+
+//runTournaments:
+//- Called every second. Starts any ready bracket match whose players are both free, and settles no-shows
+function runTournaments() {
+  const now = clock.now();
+  let changed = false;
+  Object.values(tournaments).forEach(tournament => {
+    if (tournament.status !== 'running') return;
+    Object.values(tournament.bracket).forEach(tm => {
+      if (tm.status !== 'ready') return;
+      const [a, b] = tm.slots.map(s => s.value);
+      const pa = findOnlinePlayerByProfile(a);
+      const pb = findOnlinePlayerByProfile(b);
+      //Spectating is fine (createMatch pulls them out of it), playing some other match is not
+      const free = p => !!p && !p.matchId;
+
+      if (free(pa) && free(pb) && now - tm.readyAt >= TOURNAMENT_BREATHER_MS) {
+        [pa, pb].forEach(p => removeFromWaitingQueue(p.id));
+        const match = createMatch([pa.id, pb.id], tournament.ruleset, { tournamentId: tournament.id, tournamentMatchId: tm.id });
+        tm.status = 'live';
+        tm.matchId = match.id;
+        markChanged('tournaments', tournament.id);
+        changed = true;
+        return;
+      }
+
+      if (now - tm.readyAt < TOURNAMENT_NO_SHOW_MS) return;
+      //No-show: exactly like a forfeit. If neither turned up, the better seed goes through, but it's no win for them
+      if (free(pa) !== free(pb)) {
+        forfeitTournamentMatch(tournament, tm, free(pa) ? a : b);
+      } else {
+        const winner = entrantSeed(tournament, a) <= entrantSeed(tournament, b) ? a : b;
+        console.log(`Tournament ${tournament.id} match ${tm.id}: nobody showed up, ${winner} advances on seeding`);
+        completeTournamentMatch(tournament, tm, winner, 'no_show');
+        advanceTournament(tournament);
+      }
+      changed = true;
+    });
+  });
+  if (changed) broadcastTournamentState();
+}
+
+//forfeitTournamentMatch:
+//- One player turned up and the other didn't. Nothing gets played, but the result counts like a forfeit: W/L, Elo and a
+//  history record through recordMatchResult, then the bracket moves on
+//- The record's seats are the two profileIds, since the one who didn't show may not have a socket at all
+function forfeitTournamentMatch(tournament, tm, winner) {
+  const seats = tm.slots.map(s => s.value);
+  const loser = seats.find(pid => pid !== winner);
+  console.log(`Tournament ${tournament.id} match ${tm.id}: no-show, ${winner} advances`);
+  recordMatchResult({
+    id: `${tournament.id}_${tm.id}`,
+    players: seats,
+    profileIds: Object.fromEntries(seats.map(pid => [pid, pid])),
+    ruleset: tournament.ruleset,
+    teams: null,
+    vsBot: false,
+    isPrivate: false,
+    seatInfo: seats.map(pid => {
+      const profile = profiles[pid] || {};
+      return { profileId: pid, name: profile.name || 'Unknown', rating: profile.rating, isBot: false };
+    }),
+    scores: {},
+    rounds: [],
+    startedAt: clock.now()
+  }, winner);
+  saveStore();
+
+  //Whoever is online (the winner, or a loser busy in some other match) sees their new record and rating right away
+  seats.forEach(pid => {
+    const online = findOnlinePlayerByProfile(pid);
+    const profile = profiles[pid];
+    if (!online || !profile) return;
+    online.totalWins = profile.totalWins;
+    online.totalLosses = profile.totalLosses;
+    online.rating = profile.rating;
+    markChanged('players', online.id);
+  });
+  const present = findOnlinePlayerByProfile(winner);
+  if (present) {
+    const opponent = profiles[loser];
+    sendChatNotice(present.id, `${tournament.name}: ${opponent ? opponent.name : 'your opponent'} didn't show up, so you go through.`);
+  }
+
+  completeTournamentMatch(tournament, tm, winner, 'no_show');
+  advanceTournament(tournament);
+  broadcastLobbyState();
+}
+
+//recordTournamentResult:
+//- endMatch calls this for bracket matches. Forfeits and disconnects already arrive here with a winner, because they go
+//  through resolveRound like any other match. A match that ended with no winner goes to the higher score, then the better seed
+function recordTournamentResult(match, winnerId) {
+  const tournament = tournaments[match.tournamentId];
+  const tm = tournament && tournament.bracket[match.tournamentMatchId];
+  if (!tm || tm.status !== 'live') return;
+
+  let winner = winnerId ? match.profileIds[winnerId] : null;
+  if (!winner) {
+    const [idA, idB] = match.players;
+    const [a, b] = [match.profileIds[idA], match.profileIds[idB]];
+    const diff = (match.scores[idA] || 0) - (match.scores[idB] || 0);
+    if (diff !== 0) winner = diff > 0 ? a : b;
+    else winner = entrantSeed(tournament, a) <= entrantSeed(tournament, b) ? a : b;
+  }
+  completeTournamentMatch(tournament, tm, winner, 'played');
+  advanceTournament(tournament);
+  broadcastTournamentState();
+}
+
+//pruneFinishedTournaments:
+//- Only keeps the newest few finished (or cancelled) tournaments
+function pruneFinishedTournaments() {
+  Object.values(tournaments)
+    .filter(t => t.status === 'finished' || t.status === 'cancelled')
+    .sort((x, y) => (y.finishedAt || 0) - (x.finishedAt || 0))
+    .slice(TOURNAMENT_KEEP_FINISHED)
+    .forEach(t => {
+      delete tournaments[t.id];
+      markChanged('tournaments', t.id);
+    });
+}
+
+//startTournament:
+//- Seeds the entrants (by rating, or shuffled), builds the bracket and lets the first round loose
+function startTournament(tournament) {
+  const entrants = tournament.entrants.slice();
+  if (tournament.seeding === 'random') {
+    for (let i = entrants.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [entrants[i], entrants[j]] = [entrants[j], entrants[i]];
+    }
+  } else {
+    entrants.forEach(e => { e.rating = profiles[e.profileId] ? profiles[e.profileId].rating : e.rating; });
+    entrants.sort((x, y) => y.rating - x.rating);
+  }
+  entrants.forEach((e, i) => { e.seed = i + 1; });
+  tournament.entrants = entrants;
+  tournament.bracket = buildBracket(tournament);
+  tournament.status = 'running';
+  tournament.startedAt = clock.now();
+  markChanged('tournaments', tournament.id);
+  console.log(`Tournament ${tournament.id} started with ${entrants.length} players (${tournament.format} elimination)`);
+  advanceTournament(tournament);
+}
+
+//serializeTournament:
+//- The public view of a tournament, used by both the socket event and the REST routes
+function serializeTournament(tournament) {
+  const nameOf = pid => (pid && profiles[pid] ? profiles[pid].name : null);
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    format: tournament.format,
+    seeding: tournament.seeding,
+    ruleset: { id: tournament.ruleset.id, name: tournament.ruleset.name, bestOf: tournament.ruleset.bestOf,
+      roundTimeMs: tournament.ruleset.roundTimeMs, commitReveal: tournament.ruleset.commitReveal },
+    hostProfileId: tournament.hostProfileId,
+    hostName: tournament.hostName,
+    status: tournament.status,
+    entrants: tournament.entrants.map(e => ({ profileId: e.profileId, name: nameOf(e.profileId) || e.name, rating: e.rating, seed: e.seed })),
+    bracket: Object.values(tournament.bracket || {}).map(tm => ({
+      id: tm.id,
+      bracket: tm.bracket,
+      round: tm.round,
+      slot: tm.slot,
+      //undefined (still to be decided) goes out as 'tbd' since JSON can't carry undefined
+      players: tm.slots.map(s => (s.value === undefined ? 'tbd' : (s.value ? { profileId: s.value, name: nameOf(s.value) } : null))),
+      status: tm.status,
+      matchId: tm.status === 'live' ? tm.matchId : null,
+      winner: tm.winner || null,
+      reason: tm.reason
+    })),
+    finalId: tournament.finalId || null,
+    championId: tournament.championId || null,
+    championName: nameOf(tournament.championId),
+    createdAt: tournament.createdAt,
+    startedAt: tournament.startedAt,
+    finishedAt: tournament.finishedAt
+  };
+}
+
+//broadcastTournamentState:
+//- Everyone gets every tournament (there are only ever a handful)
+function broadcastTournamentState() {
+  io.emit('tournamentState', {
+    timestamp: clock.now(),
+    tournaments: Object.values(tournaments).map(serializeTournament)
+  });
+}
+
+//_Heartbeat/AFK timers_
+//Every player has one timer that goes off HEARTBEAT_TIMEOUT after we last heard from them; each heartbeat (and
+//joinLobby) pushes it back. Nothing walks the whole players table any more
+
+//Pending heartbeat timeouts, keyed by socket id
+let heartbeatTimers = {};
+
+//touchHeartbeat:
+//- We just heard from this player, so restart their countdown
+//- Not worth a markChanged: a new leader gives everyone a fresh countdown anyway (see becomeLeader)
+function touchHeartbeat(player) {
+  player.timeLastHeartbeat = clock.now();
+  clock.clearTimeout(heartbeatTimers[player.id]);
+  heartbeatTimers[player.id] = clock.setTimeout(() => heartbeatExpired(player.id), HEARTBEAT_TIMEOUT);
+}
+
+//clearHeartbeat:
+//- The player is gone (or their seat is being held, which has its own timer), so stop watching them
+function clearHeartbeat(socketId) {
+  clock.clearTimeout(heartbeatTimers[socketId]);
+  delete heartbeatTimers[socketId];
+}
+
+//heartbeatExpired:
+//- A player went 'too quiet' for HEARTBEAT_TIMEOUT, so we treat them as gone
+//- If a socket exists, we force-disconnect it (which triggers our disconnect logic)
+//- If not, we clean up the player and their match directly
+function heartbeatExpired(socketId) {
+  delete heartbeatTimers[socketId];
+  const player = safeGetPlayer(socketId);
+  if (!player || player.disconnectedAt || player.isBot) return;
+  const socket = getSocketById(socketId);
+  if (socket) {
+    socket.disconnect(true);
+  } else {
+    handlePlayerDisconnect(socketId);
+  }
+}
+
+//_Clock sync_
+//Clients keep their countdowns in our time, NTP style: they send timeSync { clientTime }, we answer with our clock, and
+//from the round trip they work out both their ping and how far their clock is off ours. That ping is only for their
+//status bar. The latency allowance for late moves uses a round trip we time ourselves: every LATENCY_PING_MS we send
+//latencyPing with a random id and time the latencyPong that echoes it against our own clock. A client can still hold its
+//pong back to look slower than it is, which is why the allowance is capped at LATENCY_ALLOWANCE_MAX_MS
+//On a follower (see _Scaling_) the pong goes through the leader like any other event. That's the right thing to
+//measure: it's the same trip a move takes
+
+//pingPlayers:
+//- Sends a latencyPing to everyone whose last one is at least LATENCY_PING_MS old. A ping that never got answered is
+//  simply replaced. Runs on the matchmaking tick, so only on the leader
+//- No markChanged for the ping either: a new leader that doesn't know about it just sends another one
+function pingPlayers() {
+  const now = clock.now();
+  Object.values(players).forEach(p => {
+    if (p.isBot || p.disconnectedAt || (p.latencyPing && now - p.latencyPing.sentAt < LATENCY_PING_MS)) return;
+    p.latencyPing = { id: crypto.randomBytes(4).toString('hex'), sentAt: now };
+    io.to(p.id).emit('latencyPing', { timestamp: now, pingId: p.latencyPing.id });
+  });
+}
+
+//recordRtt:
+//- Folds a measured round trip into the player's smoothed rttMs, so one slow sample doesn't swing their allowance
+function recordRtt(player, rttMs) {
+  player.rttMs = player.rttMs == null ? Math.round(rttMs) : Math.round(player.rttMs * 0.75 + rttMs * 0.25);
+  markChanged('players', player.id);
+}
+
+//latencyAllowance:
+//- How long after the deadline a move from this player may still arrive: half their round trip, capped
+function latencyAllowance(player) {
+  if (!player || player.isBot || player.rttMs == null) return 0;
+  return Math.max(0, Math.min(LATENCY_ALLOWANCE_MAX_MS, Math.ceil(player.rttMs / 2)));
+}
+
+//matchLatencyGrace:
+//- The round clock waits out the biggest allowance in the match before resolving, or the laggiest player's move could
+//  arrive after the round it was meant for is already over
+function matchLatencyGrace(match) {
+  return Math.max(0, ...playersInPlay(match).map(pid => latencyAllowance(safeGetPlayer(pid))));
+}
+
+//checkMoveInTime:
+//- True if a move (or commitment) for `round` can still count. Otherwise the sender gets moveRejected with reason
+//  'too_late' and how late it was, rather than their click vanishing without a word
+//- round is what the client thought the round was; clients that don't send it are just checked against the clock
+//- A fair-play commitment that shows up once the reveals have started missed the round clock too, even though the
+//  deadline has moved on to the reveal one
+//- While paused for a reconnect the deadline is frozen, so the player who stayed can still lock in their move
+function checkMoveInTime(match, player, round) {
+  const now = clock.now();
+  const closed = (round != null && round !== match.round) || match.phase === 'reveal';
+  if (!closed && (match.pausedRemainingMs != null || now <= match.turnDeadline + latencyAllowance(player))) return true;
+
+  io.to(player.id).emit('moveRejected', {
+    timestamp: now,
+    matchId: match.id,
+    round: round != null ? round : match.round,
+    reason: 'too_late',
+    lateByMs: closed ? null : now - match.turnDeadline
+  });
+  return false;
+}
+
+//_Matchmaking retry_
+
+//runMatchmakingTick:
+//- Ratings that were too far apart a moment ago may be close enough now that the windows have widened, so startServer
+//  has this retrying every second while at least two people are waiting. Whoever is still stuck alone after that might
+//  get a bot
+function runMatchmakingTick() {
+  if (!isLeader) return;
+  if (waitingQueue.length >= 2) {
+    tryStartMatches();
+  }
+  if (waitingQueue.length > 0) {
+    backfillWithBots();
+  }
+  runTournaments();
+  pingPlayers();
+}
+
+//_Round timers_
+//Each active match has exactly one timer, set for its turnDeadline. Anything that moves the deadline (a new match, a
+//new round, the reveal phase, a resumed seat) re-arms it with armRoundTimer; pausing or ending the match cancels it.
+//Timers only exist on the leader (see _Scaling_), and a new leader arms one for every active match it takes over
+
+//Pending round deadlines, keyed by matchId
+let roundTimers = {};
+
+//armRoundTimer:
+//- (Re)starts the match's timer for its current turnDeadline. Paused or finished matches just get theirs cancelled
+function armRoundTimer(match) {
+  cancelRoundTimer(match.id);
+  if (match.status !== 'active' || match.pausedRemainingMs != null) return;
+  const dueIn = match.turnDeadline + matchLatencyGrace(match) - clock.now();
+  roundTimers[match.id] = clock.setTimeout(() => roundDeadlinePassed(match.id), Math.max(0, dueIn));
+}
+
+//setRoundDeadline:
+//- Gives the current round (or reveal phase) a fresh clock of ms. If a seat is being held the clock stays frozen, but at
+//  the full ms, not whatever was left of the round before it
+function setRoundDeadline(match, ms) {
+  match.turnDeadline = clock.now() + ms;
+  if (match.pausedRemainingMs != null) match.pausedRemainingMs = ms;
+  markChanged('matches', match.id);
+  armRoundTimer(match);
+}
+
+//cancelRoundTimer:
+function cancelRoundTimer(matchId) {
+  clock.clearTimeout(roundTimers[matchId]);
+  delete roundTimers[matchId];
+}
+
+//roundDeadlinePassed:
+//- If at least one player moved, we resolve as a timeout round
+//- If nobody moved, it's an empty round and handleIdleRound decides what happens (see IDLE_POLICY)
+//- Commit-reveal matches: a round clock running out with at least one commitment moves on to the reveal phase, and the
+//  reveal clock running out forfeits whoever didn't reveal
+function roundDeadlinePassed(matchId) {
+  delete roundTimers[matchId];
+  const match = matches[matchId];
+  if (!match || match.status !== 'active' || match.pausedRemainingMs != null) return;
+
+  if (match.ruleset.commitReveal) {
+    const committed = match.players.filter(pid => match.commitments[pid]);
+    if (match.phase === 'reveal') {
+      const missing = committed.filter(pid => !match.moves[pid]);
+      //Both missing means nobody gets the win; resolveRound ends the match either way
+      resolveRound(match, 'no_reveal', missing.length === 1 ? missing[0] : null);
+    } else if (committed.length) {
+      startRevealPhase(match);
+    } else {
+      handleIdleRound(match);
+    }
+    return;
+  }
+
+  if (match.players.some(pid => match.moves[pid])) {
+    resolveRound(match, 'timeout');
+  } else {
+    handleIdleRound(match);
+  }
+}
+
+//handleIdleRound:
+//- Nobody moved at all this round. The first IDLE_ROUND_LIMIT - 1 times in a row we just give them a fresh clock;
+//  after that IDLE_POLICY decides: 'abort' ends the match with no winner, 'tie' scores the round as a tie and moves on
+function handleIdleRound(match) {
+  match.idleRounds = (match.idleRounds || 0) + 1;
+  markChanged('matches', match.id);
+  if (match.idleRounds < IDLE_ROUND_LIMIT) {
+    setRoundDeadline(match, match.ruleset.roundTimeMs);
+    emitTurnUpdate(match);
+    return;
+  }
+
+  if (IDLE_POLICY === 'tie' && match.idleRounds < IDLE_ROUND_LIMIT * 2) {
+    console.log(`Match ${match.id}: ${match.idleRounds} empty rounds, scoring round ${match.round} as a tie`);
+    resolveRound(match, 'idle');
+    return;
+  }
+  console.log(`Match ${match.id}: ${match.idleRounds} empty rounds, aborting`);
+  endMatch(match, null, 'idle');
+}
+
+//_Leaderboards_
+
+//leaderboardPeriodStart:
+//- When the given period began: 0 for all-time, otherwise midnight UTC today or on this week's Monday
+function leaderboardPeriodStart(period, now = clock.now()) {
+  if (period === 'all') return 0;
+  const d = new Date(now);
+  d.setUTCHours(0, 0, 0, 0);
+  if (period === 'weekly') {
+    //getUTCDay() is 0 on Sunday, and our weeks start on Monday
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  }
+  return d.getTime();
+}
+
+//currentPeriodTotals:
+//- The running totals for 'weekly' or 'daily', emptied first if that period has rolled over since they were last touched
+function currentPeriodTotals(totals, period, now = clock.now()) {
+  const since = leaderboardPeriodStart(period, now);
+  if (!totals[period] || totals[period].since !== since) totals[period] = { since, players: {} };
+  return totals[period];
+}
+
+//addPeriodResults:
+//- Counts one decisive match, given as [{ profileId, won }], towards every shorter period that `endedAt` falls in
+function addPeriodResults(totals, results, endedAt) {
+  LEADERBOARD_PERIODS.filter(period => period !== 'all').forEach(period => {
+    const { players } = currentPeriodTotals(totals, period, endedAt);
+    results.forEach(({ profileId, won }) => {
+      const t = players[profileId] || (players[profileId] = { wins: 0, losses: 0, currentStreak: 0, bestStreak: 0 });
+      if (won) t.wins++;
+      else t.losses++;
+      t.currentStreak = won ? t.currentStreak + 1 : 0;
+      t.bestStreak = Math.max(t.bestStreak, t.currentStreak);
+    });
+  });
+}
+
+//replayPeriodTotals:
+//- Builds the period totals from scratch out of the given history records, oldest first so streaks line up. Records
+//  from before the current periods are skipped by currentPeriodTotals starting over when the period changes
+function replayPeriodTotals(records) {
+  const totals = {};
+  records.forEach(record => {
+    if (record.vsBot || record.winnerSeat == null || hasRepeatedProfile(record.players.map(seat => seat.profileId))) return;
+    //Older records only have winnerSeat; team wins count for both teammates
+    const winnerSeats = record.winnerSeats || [record.winnerSeat];
+    const results = record.players
+      .map((seat, i) => ({ profileId: seat.profileId, won: winnerSeats.includes(i) }))
+      .filter(result => result.profileId);
+    addPeriodResults(totals, results, record.endedAt);
+  });
+  return totals;
+}
+
+//collectLeaderboardTotals:
+//- Per-profile { name, wins, losses, bestStreak } for one period
+//- All-time reads the profiles; the shorter periods read leaderboardPeriodTotals
+function collectLeaderboardTotals(period) {
+  const totals = {};
+  if (period === 'all') {
+    Object.values(profiles).forEach(p => {
+      totals[p.profileId] = { name: p.name, wins: p.totalWins, losses: p.totalLosses, bestStreak: p.bestStreak || 0 };
+    });
+    return totals;
+  }
+
+  const { players } = currentPeriodTotals(leaderboardPeriodTotals, period);
+  Object.entries(players).forEach(([pid, t]) => {
+    if (!profiles[pid]) return;
+    totals[pid] = { name: profiles[pid].name, wins: t.wins, losses: t.losses, bestStreak: t.bestStreak };
+  });
+  return totals;
+}
+
+//rankLeaderboard:
+//- Sorts one board and numbers it. Each entry is { rank, profileId, name, value, games }
+//- Players with nothing to show (no wins / no streak / too few games for a win rate) are left off
+function rankLeaderboard(totals, board) {
+  const rows = Object.entries(totals).map(([profileId, t]) => {
+    const games = t.wins + t.losses;
+    let value = t.wins;
+    if (board === 'winRate') value = games ? Math.round((t.wins / games) * 1000) / 1000 : 0;
+    else if (board === 'streak') value = t.bestStreak;
+    return { profileId, name: t.name, value, games, wins: t.wins };
+  }).filter(row => (board === 'winRate' ? row.games >= LEADERBOARD_MIN_GAMES : row.value > 0));
+
+  //Ties go to whoever has more wins, then more games
+  rows.sort((a, b) => b.value - a.value || b.wins - a.wins || b.games - a.games);
+  return rows.map((row, i) => ({ rank: i + 1, profileId: row.profileId, name: row.name, value: row.value, games: row.games }));
+}
+
+//getLeaderboards:
+//- Every period and board, from the cache when it is still fresh
+function getLeaderboards() {
+  const now = clock.now();
+  if (leaderboardCache && now - leaderboardCache.builtAt < LEADERBOARD_REFRESH_MS) {
+    return leaderboardCache;
+  }
+  const periods = {};
+  LEADERBOARD_PERIODS.forEach(period => {
+    const since = leaderboardPeriodStart(period, now);
+    const totals = collectLeaderboardTotals(period);
+    const boards = {};
+    LEADERBOARD_BOARDS.forEach(board => {
+      boards[board] = rankLeaderboard(totals, board);
+    });
+    periods[period] = { since, boards };
+  });
+  leaderboardCache = { builtAt: now, periods };
+  return leaderboardCache;
+}
+
+//buildCompactLeaderboard:
+//- The small version that rides along with lobbyState: the top few of each board, plus where each of the given
+//  profiles (everyone in the lobby) stands, so a client can point out its own rank even when it's not near the top
+function buildCompactLeaderboard(profileIds) {
+  const { periods } = getLeaderboards();
+  const compact = { minGames: LEADERBOARD_MIN_GAMES, periods: {}, ranks: {} };
+  LEADERBOARD_PERIODS.forEach(period => {
+    compact.periods[period] = {};
+    LEADERBOARD_BOARDS.forEach(board => {
+      const rows = periods[period].boards[board];
+      compact.periods[period][board] = rows.slice(0, LEADERBOARD_COMPACT_SIZE)
+        .map(({ rank, profileId, name, value }) => ({ rank, profileId, name, value }));
+      rows.forEach(row => {
+        if (!profileIds.includes(row.profileId)) return;
+        const mine = compact.ranks[row.profileId] || (compact.ranks[row.profileId] = {});
+        const forPeriod = mine[period] || (mine[period] = {});
+        forPeriod[board] = { rank: row.rank, value: row.value };
+      });
+    });
+  });
+  return compact;
+}
+
+//_Move stats_
+//The tallying itself is in engine.js; this just feeds it rounds and keeps the totals (see moveStats up top)
+
+//recordMoveStats:
+//- Adds the round resolveRound just logged to the global totals and to each player's own. Bot seats are skipped, since
+//  they'd only be telling us about the bot strategies
+function recordMoveStats(match) {
+  const round = match.rounds[match.rounds.length - 1];
+  const previous = match.rounds[match.rounds.length - 2] || null;
+  match.seatInfo.forEach((seat, i) => {
+    if (seat.isBot) return;
+    addRoundToMoveStats(moveStats.global, round, previous, i);
+    if (!seat.profileId) return;
+    const own = moveStats.players[seat.profileId] || (moveStats.players[seat.profileId] = emptyMoveStats());
+    addRoundToMoveStats(own, round, previous, i);
+  });
+}
+
+//_REST API_
+//Read-only JSON routes on the same Express app, for things that don't need a live socket (like looking at old matches)
+
+//canSeeHistoryRecord:
+//- Private-room matches are only for the people who played them, who prove it by sending their token in X-Player-Token
+function canSeeHistoryRecord(req, record) {
+  if (!record.isPrivate) return true;
+  const viewer = getProfileByToken(req.get('X-Player-Token'));
+  return !!viewer && record.players.some(p => p.profileId === viewer.profileId);
+}
+
+//GET /api/players/:profileId/matches?limit=20
+//- Newest-first summaries of one player's finished matches (private ones only for someone who was in them)
+app.get('/api/players/:profileId/matches', (req, res) => {
+  const { profileId } = req.params;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+  const list = [];
+  for (let i = matchHistory.length - 1; i >= 0 && list.length < limit; i--) {
+    const record = matchHistory[i];
+    if (record.players.some(p => p.profileId === profileId) && canSeeHistoryRecord(req, record)) {
+      list.push(summarizeHistoryRecord(record));
+    }
+  }
+  res.json({ profileId, matches: list });
+});
+
+//GET /api/players/:profileId/stats
+//- One player's move stats (see summarizeMoveStats in engine.js). A player who hasn't thrown anything yet gets zeroes
+app.get('/api/players/:profileId/stats', (req, res) => {
+  const profile = profiles[req.params.profileId];
+  if (!profile) {
+    res.status(404).json({ error: 'not_found' });
+    return;
+  }
+  const stats = moveStats.players[profile.profileId] || emptyMoveStats();
+  res.json({ profileId: profile.profileId, name: profile.name, stats: summarizeMoveStats(stats) });
+});
+
+//GET /api/stats/moves
+//- The same numbers for everyone put together
+app.get('/api/stats/moves', (req, res) => {
+  res.json({ stats: summarizeMoveStats(moveStats.global) });
+});
+
+//GET /api/leaderboard?period=weekly&board=wins&limit=25
+//- Ranked leaderboards. period is all (default), weekly or daily; leave board off to get all three boards
+app.get('/api/leaderboard', (req, res) => {
+  const period = req.query.period || 'all';
+  const board = req.query.board;
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    res.status(400).json({ error: 'bad_period', periods: LEADERBOARD_PERIODS });
+    return;
+  }
+  if (board && !LEADERBOARD_BOARDS.includes(board)) {
+    res.status(400).json({ error: 'bad_board', boards: LEADERBOARD_BOARDS });
+    return;
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+  const { since, boards } = getLeaderboards().periods[period];
+  const result = {};
+  (board ? [board] : LEADERBOARD_BOARDS).forEach(b => {
+    result[b] = boards[b].slice(0, limit);
+  });
+  res.json({ period, since, minGames: LEADERBOARD_MIN_GAMES, boards: result });
+});
+
+//GET /api/tournaments
+//- Every tournament we still know about (registering, running, and the last few finished ones)
+app.get('/api/tournaments', (req, res) => {
+  res.json({ tournaments: Object.values(tournaments).map(serializeTournament) });
+});
+
+//GET /api/tournaments/:tournamentId
+//- One tournament with its full bracket
+app.get('/api/tournaments/:tournamentId', (req, res) => {
+  const tournament = tournaments[req.params.tournamentId];
+  if (!tournament) {
+    res.status(404).json({ error: 'not_found' });
+    return;
+  }
+  res.json(serializeTournament(tournament));
+});
+
+//GET /api/matches/:matchId
+//- One finished match in full, including every round. A private match someone else played is a 404, same as a missing one
+app.get('/api/matches/:matchId', (req, res) => {
+  const record = matchHistory.find(m => m.matchId === req.params.matchId);
+  if (!record || !canSeeHistoryRecord(req, record)) {
+    res.status(404).json({ error: 'not_found' });
+    return;
+  }
+  res.json(record);
+});
+
+//_Admin dashboard_
+//A password-protected page at /admin plus a small JSON API under /admin/api for operators. Everything uses HTTP basic
+//auth (any username, the password is ADMIN_PASSWORD). With no ADMIN_PASSWORD set, the whole thing just doesn't exist
+//(404), so nobody can stumble into an open dashboard
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+const ADMIN_ANNOUNCEMENT_MAX_LENGTH = 300;
+
+//requireAdmin:
+//- Express middleware that checks the basic auth password. Both sides are hashed first so timingSafeEqual gets equal lengths
+function requireAdmin(req, res, next) {
+  if (!ADMIN_PASSWORD) {
+    res.sendStatus(404);
+    return;
+  }
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  const decoded = scheme === 'Basic' && encoded ? Buffer.from(encoded, 'base64').toString() : '';
+  const password = decoded.slice(decoded.indexOf(':') + 1);
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  if (!decoded.includes(':') || !crypto.timingSafeEqual(hash(password), hash(ADMIN_PASSWORD))) {
+    res.set('WWW-Authenticate', 'Basic realm="RPS admin"');
+    res.status(401).json({ error: 'unauthorized' });
+    return;
+  }
+  next();
+}
+
+//requireJsonBody:
+//- Admin POSTs have to be sent as application/json. The browser re-sends the basic auth to any page that posts here, but
+//  a cross-site form can only send form or text bodies, and anything else needs a CORS preflight that we never answer.
+//  So this is what keeps another site from kicking players through a logged-in operator's browser (CSRF)
+function requireJsonBody(req, res, next) {
+  if (!req.is('application/json')) {
+    res.status(415).json({ error: 'json_only' });
+    return;
+  }
+  next();
+}
+
+//buildAdminState:
+//- Everything the dashboard shows: players (with role, room, ping and how long since their last heartbeat), live matches
+//  (with scores and how long until the round deadline), the queue and the global stats
+function buildAdminState() {
+  const now = clock.now();
+  const nameOf = id => (players[id] ? players[id].name : id);
+  return {
+    timestamp: now,
+    instanceId: INSTANCE_ID,
+    isLeader, //a follower's copy can be up to STATE_SYNC_MS old (see _Scaling_)
+    players: Object.values(players).map(p => ({
+      id: p.id,
+      name: p.name,
+      profileId: p.profileId,
+      isBot: !!p.isBot,
+      isOperator: OPERATOR_PROFILE_IDS.includes(p.profileId),
+      role: p.role,
+      roomId: p.roomId,
+      matchId: p.matchId,
+      spectatingMatchId: p.spectatingMatchId,
+      rating: p.rating,
+      lastHeartbeatMsAgo: p.isBot ? null : now - p.timeLastHeartbeat,
+      rttMs: p.isBot ? null : p.rttMs,
+      disconnectedAt: p.disconnectedAt,
+      mutedUntil: p.mutedUntil > now ? p.mutedUntil : 0
+    })),
+    matches: Object.values(matches).map(m => ({
+      id: m.id,
+      status: m.status,
+      players: m.players.map(id => ({ id, name: nameOf(id) })),
+      scores: m.players.map(id => m.scores[id] || 0),
+      round: m.round,
+      ruleset: { name: m.ruleset.name, bestOf: m.ruleset.bestOf, commitReveal: m.ruleset.commitReveal, mode: m.ruleset.mode },
+      teams: m.players.map(id => (m.teams ? m.teams[id] : null)),
+      out: m.players.filter(id => m.out[id]),
+      turnDeadline: m.turnDeadline,
+      msUntilDeadline: m.pausedRemainingMs != null ? null : m.turnDeadline - now,
+      paused: m.pausedRemainingMs != null,
+      isPrivate: m.isPrivate,
+      vsBot: m.vsBot,
+      tournamentId: m.tournamentId,
+      startedAt: m.startedAt
+    })),
+    queue: waitingQueue.map(id => ({
+      id,
+      name: nameOf(id),
+      rating: players[id] ? players[id].rating : null,
+      waitingMs: players[id] && players[id].queuedAt ? now - players[id].queuedAt : null
+    })),
+    globalStats
+  };
+}
+
+//GET /admin
+//- The dashboard page itself (it polls the state route below)
+app.get('/admin', requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
+//GET /admin/api/state
+app.get('/admin/api/state', requireAdmin, (req, res) => {
+  res.json(buildAdminState());
+});
+
+//POST /admin/api/matches/:matchId/end { winnerId? }
+//- Force-ends a live match through endMatch, so ratings, history, tournaments etc. all behave like a normal ending.
+//  With no winnerId (or one who isn't in the match) nobody wins
+app.post('/admin/api/matches/:matchId/end', requireAdmin, requireJsonBody, express.json(), (req, res) => {
+  const match = matches[req.params.matchId];
+  if (!match || match.status !== 'active') {
+    res.status(404).json({ error: 'not_found' });
+    return;
+  }
+  const winnerId = req.body && match.players.includes(req.body.winnerId) ? req.body.winnerId : null;
+  runAdminAction({ type: 'endMatch', matchId: match.id, winnerId });
+  res.json({ ok: true });
+});
+
+//POST /admin/api/players/:socketId/kick { reason? }
+//- Same as the /kick chat command: tells the client why, then drops the socket (a held seat forfeits as usual)
+app.post('/admin/api/players/:socketId/kick', requireAdmin, requireJsonBody, express.json(), (req, res) => {
+  const player = safeGetPlayer(req.params.socketId);
+  if (!player || player.isBot || player.disconnectedAt) {
+    res.status(404).json({ error: 'not_found' });
+    return;
+  }
+  const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.slice(0, 100) : 'operator';
+  runAdminAction({ type: 'kick', socketId: player.id, reason });
+  res.json({ ok: true });
+});
+
+//POST /admin/api/announce { text }
+//- Pushes an 'announcement' to everyone in the lobby
+app.post('/admin/api/announce', requireAdmin, requireJsonBody, express.json(), (req, res) => {
+  const text = req.body && typeof req.body.text === 'string' ? req.body.text.trim().slice(0, ADMIN_ANNOUNCEMENT_MAX_LENGTH) : '';
+  if (!text) {
+    res.status(400).json({ error: 'empty_text' });
+    return;
+  }
+  runAdminAction({ type: 'announce', text });
+  res.json({ ok: true });
+});
+
+//runAdminAction:
+//- The routes above only check the request; the action itself has to happen on the leader (the process that owns the
+//  game state, see _Scaling_), which might not be the one that got the HTTP request
+function runAdminAction(action) {
+  if (!isLeader) {
+    sendToLeader({ type: 'admin', action });
+    return;
+  }
+  if (action.type === 'endMatch') {
+    const match = matches[action.matchId];
+    if (!match || match.status !== 'active') return;
+    console.log(`[admin] force-ending match ${match.id}${action.winnerId ? `, winner ${action.winnerId}` : ''}`);
+    io.to(match.roomId).emit('chatNotice', { timestamp: clock.now(), text: 'An operator ended this match.' });
+    endMatch(match, action.winnerId, 'admin');
+  } else if (action.type === 'kick') {
+    const player = safeGetPlayer(action.socketId);
+    if (!player || !getSocketById(player.id)) return;
+    console.log(`[admin] kicking ${player.name} (${player.id})`);
+    kickSocket(player.id, 'kicked', action.reason);
+  } else if (action.type === 'announce') {
+    console.log(`[admin] announcement: ${action.text}`);
+    io.to('lobby').emit('announcement', { timestamp: clock.now(), text: action.text });
+  }
+}
+
+//_Chat_
+//Three channels, all delivered as 'chatMessage' with a channel field:
+//- 'lobby': everyone in the lobby room
+//- 'match': players and spectators of one match (each match keeps its last few messages in chatHistory)
+//- 'whisper': one player to another, typed as /w <name> <message>
+//Text starting with / is a command (see runChatCommand). Everything else goes through filterChatText first, and is never
+//delivered to anyone who has muted or blocked the sender
+const MATCH_CHAT_HISTORY_SIZE = 30;
+const LOBBY_CHAT_HISTORY_SIZE = 30;
+const CHAT_MAX_LENGTH = 200;
+let lobbyChatHistory = [];
+
+//Profanity/spam filter config
+//- bannedWords: CHAT_BANNED_WORDS (comma separated) replaces the default list
+//- mode: 'mask' stars the word out, 'block' (CHAT_FILTER_MODE=block) drops the whole message
+//- the same message twice inside duplicateWindowMs is dropped, runs of one character are cut down to maxCharRun, and
+//  mostly-caps messages get lowercased
+const CHAT_FILTER = {
+  bannedWords: process.env.CHAT_BANNED_WORDS != null
+    ? process.env.CHAT_BANNED_WORDS.split(',').map(w => w.trim().toLowerCase()).filter(Boolean)
+    : ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'dick'],
+  mode: process.env.CHAT_FILTER_MODE === 'block' ? 'block' : 'mask',
+  duplicateWindowMs: 10000,
+  maxCharRun: 4,
+  maxCapsRatio: 0.7
+};
+
+//Operators are listed by profileId in OPERATOR_PROFILE_IDS (comma separated). Only they can /mute, /kick and /ban
+const OPERATOR_PROFILE_IDS = (process.env.OPERATOR_PROFILE_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+const OPERATOR_MUTE_DEFAULT_MINUTES = 10;
+
+//escapeRegExp:
+//- Makes a banned word safe to drop into a RegExp
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+//filterChatText:
+//- Cleans up one message from this player. Returns { text } to send, or { rejected: reasonCode } to drop it
+function filterChatText(player, rawText) {
+  let text = rawText.trim().slice(0, CHAT_MAX_LENGTH);
+  if (!text) return { rejected: 'empty' };
+
+  const now = clock.now();
+  if (player.lastChatText === text.toLowerCase() && now - player.lastChatAt < CHAT_FILTER.duplicateWindowMs) {
+    return { rejected: 'duplicate' };
+  }
+  player.lastChatText = text.toLowerCase();
+  player.lastChatAt = now;
+  markChanged('players', player.id);
+
+  text = text.replace(new RegExp(`(.)\\1{${CHAT_FILTER.maxCharRun},}`, 'g'), (run, ch) => ch.repeat(CHAT_FILTER.maxCharRun));
+  const letters = text.replace(/[^a-zA-Z]/g, '');
+  if (letters.length >= 8 && letters.replace(/[^A-Z]/g, '').length / letters.length > CHAT_FILTER.maxCapsRatio) {
+    text = text.toLowerCase();
+  }
+
+  //Whole words only, so names like Dickens or Scunthorpe come through untouched
+  for (const word of CHAT_FILTER.bannedWords) {
+    const pattern = new RegExp(`\\b${escapeRegExp(word)}\\b`, 'gi');
+    if (!pattern.test(text)) continue;
+    if (CHAT_FILTER.mode === 'block') return { rejected: 'profanity' };
+    text = text.replace(pattern, m => '*'.repeat(m.length));
+  }
+  return { text };
+}
+
+//isIgnoring:
+//- true when this listener has muted or blocked the given profile
+function isIgnoring(listener, fromProfileId) {
+  const profile = listener && profiles[listener.profileId];
+  if (!profile || !fromProfileId) return false;
+  return (profile.chatMuted || []).includes(fromProfileId) || (profile.chatBlocked || []).includes(fromProfileId);
+}
+
+//hasBlocked:
+//- true when this player has blocked the given profile (stronger than a mute: no whispers or challenges either)
+function hasBlocked(player, fromProfileId) {
+  const profile = player && profiles[player.profileId];
+  return !!(profile && fromProfileId && (profile.chatBlocked || []).includes(fromProfileId));
+}
+
+//deliverChatToRoom:
+//- Sends a chat message to everyone in a room one socket at a time, skipping anyone who has muted the sender
+//- Goes by each player's roomId rather than socket.io's room list, which only knows about sockets in this process
+function deliverChatToRoom(roomId, message) {
+  Object.values(players).forEach(p => {
+    if (p.isBot || p.roomId !== roomId || !getSocketById(p.id)) return;
+    if (isIgnoring(p, message.fromProfileId)) return;
+    io.to(p.id).emit('chatMessage', message);
+  });
+}
+
+//sendChatNotice:
+//- A private system line in someone's chat box (command replies, "you are muted", ...)
+function sendChatNotice(socketId, text) {
+  io.to(socketId).emit('chatNotice', { timestamp: clock.now(), text });
+}
+
+//emitChatPrefs:
+//- Tells a client who they currently have muted and blocked, so the lobby list can show it
+function emitChatPrefs(player) {
+  const profile = profiles[player.profileId];
+  if (!profile) return;
+  io.to(player.id).emit('chatPrefs', {
+    timestamp: clock.now(),
+    muted: profile.chatMuted || [],
+    blocked: profile.chatBlocked || []
+  });
+}
+
+//setChatBlock:
+//- mode is 'none', 'mute' or 'block'; a profile is only ever in one of the two lists
+function setChatBlock(player, targetProfileId, mode) {
+  const profile = profiles[player.profileId];
+  if (!profile || !profiles[targetProfileId] || targetProfileId === player.profileId) return false;
+  profile.chatMuted = (profile.chatMuted || []).filter(id => id !== targetProfileId);
+  profile.chatBlocked = (profile.chatBlocked || []).filter(id => id !== targetProfileId);
+  if (mode === 'mute') profile.chatMuted.push(targetProfileId);
+  else if (mode === 'block') profile.chatBlocked.push(targetProfileId);
+  saveStore();
+  emitChatPrefs(player);
+  return true;
+}
+
+//buildChatMessage:
+//- The one shape every chat message has on the wire
+function buildChatMessage(player, channel, text, extra = {}) {
+  return Object.assign({
+    timestamp: clock.now(),
+    channel,
+    fromId: player.id,
+    fromName: player.name,
+    fromProfileId: player.profileId,
+    text
+  }, extra);
+}
+
+//pushChatHistory:
+//- Appends to a history buffer and trims it to size
+function pushChatHistory(history, message, size) {
+  history.push(message);
+  if (history.length > size) history.splice(0, history.length - size);
+}
+
+//findOnlinePlayerByName:
+//- Case-insensitive lookup of a connected (non-bot) player by display name
+function findOnlinePlayerByName(name) {
+  const wanted = name.trim().toLowerCase();
+  return Object.values(players).find(p => !p.isBot && !p.disconnectedAt && p.profileId && p.name.toLowerCase() === wanted) || null;
+}
+
+//splitNameAndRest:
+//- Names can have spaces, so for "/w Big Bob hello" we try every online name and keep the longest one the text starts with
+function splitNameAndRest(args) {
+  const lower = args.toLowerCase();
+  let best = null;
+  Object.values(players).forEach(p => {
+    if (p.isBot || p.disconnectedAt || !p.profileId) return;
+    const n = p.name.toLowerCase();
+    if ((lower === n || lower.startsWith(n + ' ')) && (!best || n.length > best.name.length)) best = p;
+  });
+  return best ? { target: best, rest: args.slice(best.name.length).trim() } : { target: null, rest: '' };
+}
+
+//sendWhisper:
+//- One-to-one message. Both ends get a copy; a target who blocked or muted the sender just never sees it
+//- A muted sender gets the same notice as in lobby chat, or /w would be a way around the mute
+function sendWhisper(player, target, rawText) {
+  if (player.mutedUntil > clock.now()) {
+    logRejection(player.id, 'whisper', 'muted');
+    sendChatNotice(player.id, 'You are muted right now.');
+    return;
+  }
+  if (!target || target.id === player.id) {
+    sendChatNotice(player.id, 'Nobody by that name is online.');
+    return;
+  }
+  const filtered = filterChatText(player, rawText);
+  if (filtered.rejected) {
+    logRejection(player.id, 'whisper', filtered.rejected);
+    return;
+  }
+  const message = buildChatMessage(player, 'whisper', filtered.text, { toId: target.id, toName: target.name });
+  io.to(player.id).emit('chatMessage', message);
+  if (!isIgnoring(target, player.profileId)) io.to(target.id).emit('chatMessage', message);
+}
+
+//kickSocket:
+//- Tells a client why it's being removed, then drops the connection (the usual disconnect handling takes it from there)
+function kickSocket(socketId, action, reason) {
+  io.to(socketId).emit('moderation', { timestamp: clock.now(), action, reason });
+  const socket = getSocketById(socketId);
+  if (socket) socket.disconnect(true);
+}
+
+//runChatCommand:
+//- Everything typed starting with '/'. Players get /w, /ignore, /block, /unblock and /help; operators also get
+//  /mute <name> [minutes], /unmute, /kick, /ban and /unban
+function runChatCommand(player, text) {
+  const [, command = '', args = ''] = text.match(/^\/(\S*)\s*([\s\S]*)$/) || [];
+  const cmd = command.toLowerCase();
+  const isOperator = OPERATOR_PROFILE_IDS.includes(player.profileId);
+  const operatorCommands = ['mute', 'unmute', 'kick', 'ban', 'unban'];
+
+  if (cmd === 'w' || cmd === 'whisper') {
+    const { target, rest } = splitNameAndRest(args);
+    if (target && !rest) {
+      sendChatNotice(player.id, 'Usage: /w <name> <message>');
+      return;
+    }
+    if (target && hasBlocked(target, player.profileId)) {
+      sendChatNotice(player.id, `${target.name} is not accepting whispers from you.`);
+      return;
+    }
+    sendWhisper(player, target, rest);
+    return;
+  }
+
+  if (cmd === 'help') {
+    sendChatNotice(player.id, 'Commands: /w <name> <message>, /ignore <name>, /block <name>, /unblock <name>' +
+      (isOperator ? ', /mute <name> [minutes], /unmute <name>, /kick <name>, /ban <name>, /unban <name>' : ''));
+    return;
+  }
+
+  if (!['ignore', 'block', 'unblock'].concat(operatorCommands).includes(cmd)) {
+    sendChatNotice(player.id, 'Unknown command. Try /help.');
+    return;
+  }
+  if (operatorCommands.includes(cmd) && !isOperator) {
+    logRejection(player.id, 'chatCommand', 'not_operator', cmd);
+    sendChatNotice(player.id, 'Only operators can do that.');
+    return;
+  }
+
+  //Every remaining command takes a name. /mute may end in a number of minutes. Everything but /ignore, /block and /kick
+  //also works on someone who's offline, through their stored profile (they find out when they're back)
+  let nameArg = args.trim();
+  let minutes = OPERATOR_MUTE_DEFAULT_MINUTES;
+  const minutesMatch = cmd === 'mute' && nameArg.match(/^(.*\S)\s+(\d+)$/);
+  if (minutesMatch) {
+    nameArg = minutesMatch[1];
+    minutes = Math.min(Number(minutesMatch[2]), 7 * 24 * 60);
+  }
+  const target = findOnlinePlayerByName(nameArg);
+  const targetProfile = target ? profiles[target.profileId]
+    : Object.values(profiles).find(p => p.name.toLowerCase() === nameArg.toLowerCase());
+  if (!targetProfile || (!target && ['ignore', 'block', 'kick'].includes(cmd))) {
+    sendChatNotice(player.id, `Nobody called "${nameArg}" is around.`);
+    return;
+  }
+
+  const now = clock.now();
+  switch (cmd) {
+    case 'ignore':
+    case 'block':
+    case 'unblock':
+      setChatBlock(player, targetProfile.profileId, cmd === 'ignore' ? 'mute' : (cmd === 'block' ? 'block' : 'none'));
+      sendChatNotice(player.id, `${targetProfile.name} is now ${cmd === 'ignore' ? 'muted' : (cmd === 'block' ? 'blocked' : 'unblocked')}.`);
+      return;
+    case 'mute':
+      targetProfile.mutedUntil = now + minutes * 60000;
+      if (!target) break;
+      target.mutedUntil = targetProfile.mutedUntil;
+      markChanged('players', target.id);
+      io.to(target.id).emit('moderation', { timestamp: now, action: 'muted', until: target.mutedUntil, reason: 'operator' });
+      break;
+    case 'unmute':
+      targetProfile.mutedUntil = 0;
+      if (!target) break;
+      target.mutedUntil = 0;
+      markChanged('players', target.id);
+      sendChatNotice(target.id, 'You have been unmuted.');
+      break;
+    case 'kick':
+      kickSocket(target.id, 'kicked', 'operator');
+      break;
+    case 'ban':
+      targetProfile.bannedAt = now;
+      if (target) kickSocket(target.id, 'banned', 'operator');
+      break;
+    case 'unban':
+      targetProfile.bannedAt = null;
+      break;
+  }
+  console.log(`[operator] ${player.name} (${player.profileId}) used /${cmd} on ${targetProfile.name} (${targetProfile.profileId})`);
+  sendChatNotice(player.id, `Done: /${cmd} ${targetProfile.name}`);
+  saveStore();
+}
+
+//handleChatMessage:
+//- Entry point for everything typed into a chat box: commands, lobby chat and match chat
+function handleChatMessage(player, data) {
+  const text = data.text.trim();
+  if (!text || !player.profileId) return;
+  if (text.startsWith('/')) {
+    runChatCommand(player, text);
+    return;
+  }
+
+  if (player.mutedUntil > clock.now()) {
+    logRejection(player.id, 'chatMessage', 'muted');
+    sendChatNotice(player.id, 'You are muted right now.');
+    return;
+  }
+
+  //Lobby channel: only for people actually sitting in the lobby
+  if (data.channel === 'lobby') {
+    if (player.roomId !== 'lobby') return;
+    const filtered = filterChatText(player, text);
+    if (filtered.rejected) {
+      logRejection(player.id, 'chatMessage', filtered.rejected);
+      return;
+    }
+    const message = buildChatMessage(player, 'lobby', filtered.text);
+    pushChatHistory(lobbyChatHistory, message, LOBBY_CHAT_HISTORY_SIZE);
+    markChanged('tables');
+    deliverChatToRoom('lobby', message);
+    return;
+  }
+
+  //Match channel: you have to be playing in or watching that match
+  const match = matches[data.matchId];
+  if (!match || match.status !== 'active') return;
+  if (player.matchId !== match.id && player.spectatingMatchId !== match.id) {
+    logRejection(player.id, 'chatMessage', 'not_in_match');
+    return;
+  }
+  const filtered = filterChatText(player, text);
+  if (filtered.rejected) {
+    logRejection(player.id, 'chatMessage', filtered.rejected);
+    return;
+  }
+  const message = buildChatMessage(player, 'match', filtered.text, { matchId: match.id });
+  pushChatHistory(match.chatHistory, message, MATCH_CHAT_HISTORY_SIZE);
+  markChanged('matches', match.id);
+  deliverChatToRoom(match.roomId, message);
+}
+
+//_Input validation and rate limits_
+//Nothing a client sends is trusted. Every inbound event is checked (by socket.use middleware, see createEventGuard) against
+//its entry in EVENT_RULES before the handler runs:
+//- payload: a schema describing exactly which fields may be sent and what they must look like. Every payload may also
+//  carry a numeric timestamp, which we never use for anything but it's what the client always sends
+//- limit: a token bucket, [burst, refillPerSecond]. Each event spends one token and the bucket slowly refills
+//Anything that fails gets dropped and logged with a reason code. Each failure is also a strike against the socket: enough
+//strikes inside ABUSE_STRIKE_WINDOW_MS gets it muted, and a lot more gets it disconnected
+const ABUSE_STRIKE_WINDOW_MS = 60000;
+const ABUSE_MUTE_STRIKES = 5;
+const ABUSE_MUTE_MS = 60000;
+const ABUSE_DISCONNECT_STRIKES = 20;
+
+//Schema:
+//- Tiny validator builders. Each validator takes a value and returns null when it's fine, or a short reason when it isn't
+const Schema = {
+  string(maxLength, minLength = 0, pattern = null) {
+    return value => {
+      if (typeof value !== 'string') return 'not_string';
+      if (value.length < minLength || value.length > maxLength) return 'bad_length';
+      if (pattern && !pattern.test(value)) return 'bad_format';
+      return null;
+    };
+  },
+  number(min, max) {
+    return value => (typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max ? null : 'bad_number');
+  },
+  boolean() {
+    return value => (typeof value === 'boolean' ? null : 'not_boolean');
+  },
+  optional(check) {
+    return value => (value === undefined || value === null ? null : check(value));
+  },
+  object(shape) {
+    const withTimestamp = Object.assign({ timestamp: Schema.optional(Schema.number(0, Number.MAX_SAFE_INTEGER)) }, shape);
+    return value => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'not_object';
+      for (const key of Object.keys(value)) {
+        //Own keys only, or constructor, toString, __proto__ and friends would pass as known fields
+        if (!Object.prototype.hasOwnProperty.call(withTimestamp, key)) return `unknown_field:${key}`;
+      }
+      for (const [key, check] of Object.entries(withTimestamp)) {
+        const problem = check(value[key]);
+        if (problem) return `${key}:${problem}`;
+      }
+      return null;
+    };
+  }
+};
+
+//Shapes that several events share
+const MATCH_ID_SCHEMA = Schema.string(200, 1);
+const MOVE_SCHEMA = Schema.string(20, 1, /^[a-z]+$/);
+const ROUND_SCHEMA = Schema.number(1, 1000000);
+const COLOR_SCHEMA = Schema.string(7, 7, /^#[0-9a-fA-F]{6}$/);
+const RULESET_SCHEMA = Schema.optional(Schema.object({
+  id: Schema.optional(Schema.string(20, 1)),
+  bestOf: Schema.optional(Schema.number(1, 99)),
+  roundSeconds: Schema.optional(Schema.number(1, 600)),
+  commitReveal: Schema.optional(Schema.boolean()),
+  mode: Schema.optional(Schema.string(5, 3, /^(duel|ffa|teams)$/)),
+  playerCount: Schema.optional(Schema.number(2, 6))
+}));
+//Events that carry nothing (but the client may still send { timestamp })
+const EMPTY_SCHEMA = Schema.optional(Schema.object({}));
+
+const EVENT_RULES = {
+  joinLobby: {
+    limit: [3, 0.1],
+    payload: Schema.object({
+      token: Schema.optional(Schema.string(48, 48, /^[0-9a-f]+$/)),
+      name: Schema.optional(Schema.string(40, 1)),
+      preferredColor: Schema.optional(COLOR_SCHEMA)
+    })
+  },
+  updateProfile: {
+    limit: [3, 0.2],
+    payload: Schema.object({
+      name: Schema.optional(Schema.string(40, 1, /\S/)),
+      preferredColor: Schema.optional(COLOR_SCHEMA)
+    })
+  },
+  setQueueStatus: {
+    limit: [5, 1],
+    payload: Schema.object({ inQueue: Schema.boolean(), ruleset: RULESET_SCHEMA, allowBots: Schema.optional(Schema.boolean()) })
+  },
+  spectateMatch: { limit: [5, 1], payload: Schema.object({ matchId: MATCH_ID_SCHEMA }) },
+  leaveSpectate: { limit: [5, 1], payload: EMPTY_SCHEMA },
+  predictRound: { limit: [5, 1], payload: Schema.object({ matchId: MATCH_ID_SCHEMA, pick: Schema.string(100, 1) }) },
+  heartbeat: { limit: [3, 1], payload: EMPTY_SCHEMA },
+  lobbyResync: { limit: [3, 0.5], payload: EMPTY_SCHEMA },
+  timeSync: {
+    limit: [5, 1],
+    payload: Schema.object({ clientTime: Schema.number(0, Number.MAX_SAFE_INTEGER) })
+  },
+  latencyPong: { limit: [3, 1], payload: Schema.object({ pingId: Schema.string(8, 8) }) },
+  playerMove: {
+    limit: [5, 2],
+    payload: Schema.object({ matchId: MATCH_ID_SCHEMA, move: MOVE_SCHEMA, round: Schema.optional(ROUND_SCHEMA) })
+  },
+  commitMove: {
+    limit: [5, 2],
+    payload: Schema.object({
+      matchId: MATCH_ID_SCHEMA,
+      commitment: Schema.string(64, 64, /^[0-9a-f]+$/),
+      round: Schema.optional(ROUND_SCHEMA)
+    })
+  },
+  revealMove: {
+    limit: [5, 2],
+    payload: Schema.object({ matchId: MATCH_ID_SCHEMA, move: MOVE_SCHEMA, salt: Schema.string(128, 1) })
+  },
+  chatMessage: {
+    limit: [5, 1],
+    payload: Schema.object({
+      matchId: Schema.optional(MATCH_ID_SCHEMA),
+      channel: Schema.optional(Schema.string(5, 5, /^(lobby|match)$/)),
+      text: Schema.string(500, 1)
+    })
+  },
+  setChatBlock: {
+    limit: [5, 1],
+    payload: Schema.object({ profileId: Schema.string(32, 1), mode: Schema.string(5, 4, /^(none|mute|block)$/) })
+  },
+  sendChallenge: { limit: [3, 0.2], payload: Schema.object({ targetId: Schema.string(100, 1), ruleset: RULESET_SCHEMA }) },
+  respondChallenge: {
+    limit: [5, 1],
+    payload: Schema.object({ challengeId: Schema.string(32, 1), accept: Schema.boolean() })
+  },
+  cancelChallenge: { limit: [5, 1], payload: Schema.object({ challengeId: Schema.string(32, 1) }) },
+  createPrivateRoom: { limit: [3, 0.2], payload: Schema.object({ ruleset: RULESET_SCHEMA }) },
+  //Slow on purpose, so nobody can sit there guessing room codes
+  joinPrivateRoom: { limit: [5, 0.2], payload: Schema.object({ code: Schema.string(ROOM_CODE_LENGTH + 10, 1) }) },
+  closePrivateRoom: { limit: [5, 1], payload: EMPTY_SCHEMA },
+  playBot: {
+    limit: [3, 0.2],
+    payload: Schema.optional(Schema.object({ strategy: Schema.optional(Schema.string(20, 1)), ruleset: RULESET_SCHEMA }))
+  },
+  createTournament: {
+    limit: [2, 0.1],
+    payload: Schema.object({
+      name: Schema.string(40, 1),
+      format: Schema.string(6, 6, /^(single|double)$/),
+      seeding: Schema.string(6, 6, /^(rating|random)$/),
+      ruleset: RULESET_SCHEMA
+    })
+  },
+  joinTournament: { limit: [5, 1], payload: Schema.object({ tournamentId: Schema.string(32, 1) }) },
+  leaveTournament: { limit: [5, 1], payload: Schema.object({ tournamentId: Schema.string(32, 1) }) },
+  startTournament: { limit: [3, 0.5], payload: Schema.object({ tournamentId: Schema.string(32, 1) }) },
+  cancelTournament: { limit: [3, 0.5], payload: Schema.object({ tournamentId: Schema.string(32, 1) }) },
+  respondRematch: {
+    limit: [5, 1],
+    payload: Schema.object({ offerId: Schema.string(32, 1), accept: Schema.boolean() })
+  },
+  requestRematch: { limit: [3, 0.5], payload: EMPTY_SCHEMA },
+  leaveMatch: { limit: [3, 0.5], payload: EMPTY_SCHEMA }
+};
+
+//logRejection:
+//- One line per dropped event, always in the same shape so it's easy to grep: [reject] <socket> <event> <code> (detail)
+function logRejection(socketId, eventName, code, detail) {
+  console.log(`[reject] ${socketId} ${eventName} ${code}${detail ? ` (${detail})` : ''}`);
+}
+
+//createEventGuard:
+//- Builds the socket.use middleware for one socket. Buckets and strikes live in this closure, so they go away with the socket
+//- Not calling next() is how an event gets dropped; the handler simply never hears about it
+function createEventGuard(socket) {
+  const buckets = {};
+  let strikes = 0;
+  let firstStrikeAt = 0;
+
+  function strike(eventName, code, detail) {
+    logRejection(socket.id, eventName, code, detail);
+    const now = clock.now();
+    if (now - firstStrikeAt > ABUSE_STRIKE_WINDOW_MS) {
+      strikes = 0;
+      firstStrikeAt = now;
+    }
+    strikes++;
+
+    if (strikes >= ABUSE_DISCONNECT_STRIKES) {
+      console.log(`[abuse] disconnecting ${socket.id} after ${strikes} strikes`);
+      io.to(socket.id).emit('moderation', { timestamp: now, action: 'disconnected', reason: code });
+      socket.disconnect(true);
+      return;
+    }
+    const player = safeGetPlayer(socket.id);
+    if (strikes >= ABUSE_MUTE_STRIKES && player && player.mutedUntil <= now) {
+      player.mutedUntil = now + ABUSE_MUTE_MS;
+      markChanged('players', player.id);
+      console.log(`[abuse] muting ${socket.id} until ${new Date(player.mutedUntil).toISOString()}`);
+      io.to(socket.id).emit('moderation', { timestamp: now, action: 'muted', until: player.mutedUntil, reason: code });
+    }
+  }
+
+  return (packet, next) => {
+    //Packets that were already on their way when we kicked the socket still arrive here; just drop them quietly
+    if (socket.disconnected) return;
+    const [eventName, data] = packet;
+    const rules = EVENT_RULES[eventName];
+    if (!rules) {
+      strike(eventName, 'unknown_event');
+      return;
+    }
+
+    //Token bucket: top up by however long it's been since the last event, then spend one
+    const [burst, perSecond] = rules.limit;
+    const now = clock.now();
+    const bucket = buckets[eventName] || (buckets[eventName] = { tokens: burst, updatedAt: now });
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+    if (bucket.tokens < 1) {
+      strike(eventName, 'rate_limited');
+      return;
+    }
+    bucket.tokens -= 1;
+
+    const problem = rules.payload(data);
+    if (problem) {
+      strike(eventName, 'bad_payload', problem);
+      return;
+    }
+    next();
+  };
+}
+
+//_Scaling: shared state, instances and leader election_
+//Any number of these server processes can run behind a load balancer (with sticky sessions, which socket.io needs
+//anyway) as long as they share one storage via REDIS_URL. The deal:
+//- Exactly one process is the leader, decided by a lease in the storage that it keeps renewing. Only the leader runs
+//  game logic: every socket handler below, matchmaking, the round and heartbeat timers, bots and tournaments
+//- Every process accepts sockets, but a socket is just a pipe: its events go to the leader (over the storage's pub/sub
+//  when the leader is someone else), where a connection object stands in for it and runs the normal handlers. When
+//  the leader joins, leaves or disconnects a socket that lives elsewhere, it asks that process to do it
+//- ClusterAdapter hands every io.to(...).emit to the other processes as well, so 'lobby', `match:${id}` and per-socket
+//  rooms reach their sockets wherever they're connected
+//- Players, matches, the queue, challenges, private rooms, rematch offers, held seats and tournaments all live in the
+//  storage. The leader works on its own copy and writes back whatever changed as soon as a socket event, admin action
+//  or game timer is done with it (see markChanged), so a new leader picks up exactly where the old one stopped.
+//  Everyone else reads it all back every STATE_SYNC_MS, which is what REST routes and /admin on a follower see
+//Without REDIS_URL the same code runs against an in-memory storage, with this process as the only (so always the) leader
+//The lease is about real processes, so everything in here runs on the real clock even when the game doesn't
+const LEADER_LEASE_MS = 6000;
+const LEADER_RENEW_MS = 2000;
+const STATE_SYNC_MS = 1000;
+const STORAGE_KEYS = {
+  leader: 'rps:leader',
+  players: 'rps:players',
+  matches: 'rps:matches',
+  queue: 'rps:queue',
+  challenges: 'rps:challenges',
+  privateRooms: 'rps:private-rooms',
+  rematchOffers: 'rps:rematch-offers',
+  heldSeats: 'rps:held-seats',
+  tournaments: 'rps:tournaments',
+  sockets: 'rps:sockets', //socketId -> the process it's connected to
+  tables: 'rps:tables', //lobby chat, storeVersion
+  store: 'rps:store' //profiles, globalStats, matchHistory, moveStats, leaderboardPeriodTotals (what saveStore writes to disk)
+};
+const LEADER_CHANNEL = 'rps:to-leader';
+const BROADCAST_CHANNEL = 'rps:broadcast';
+const instanceChannel = instanceId => `rps:to-instance:${instanceId}`;
+
+let isLeader = false;
+let lastLeaseRenewedAt = 0;
+let instanceTimers = []; //the lease and sync intervals, so stopServer can clear them
+let storeVersion = 0; //bumped by flushStore; followers reload the store when the leader's number moves
+let loadedStoreVersion = 0;
+//What the leader changed since its last saveSharedState (see markChanged): a Set of ids per STORAGE_KEYS table, or
+//null to write everything, which is where a new leader starts and where a failed write leaves us
+let changedState = null;
+let stateSaveQueued = false;
+let stateSaveChain = Promise.resolve();
+
+//Sockets connected to this process, keyed by socket.id (the real socket.io objects)
+let localSockets = {};
+
+//On the leader: one connection per socket it knows about, wherever that socket actually lives. This is what
+//getSocketById hands out
+let connections = {};
+/*
+connections[socketId] = {
+  id: socketId,
+  instanceId, //the process the real socket is connected to
+  disconnected: false, //true once we've asked for it to go (no more events get through)
+  on(event, handler), use(middleware), join(room), leave(room), disconnect(),
+  dispatch(packet), //runs one [event, data] from the client through the middleware and handlers
+  close() //the socket is gone: runs the 'disconnect' handlers
+};
+*/
+
+//ClusterAdapter:
+//- socket.io's normal in-memory adapter, except every broadcast is also published for the other processes, which
+//  deliver it to their own sockets. Only plain JSON payloads (no binary), which is all this game sends
+class ClusterAdapter extends Adapter {
+  broadcast(packet, opts, fromOtherInstance = false) {
+    super.broadcast(packet, opts);
+    if (fromOtherInstance || (opts.flags && opts.flags.local)) return;
+    storage.publish(BROADCAST_CHANNEL, {
+      from: INSTANCE_ID,
+      packet,
+      opts: { rooms: opts.rooms || [], except: opts.except || [], flags: opts.flags || {} }
+    }).catch(err => console.error('Could not relay a broadcast:', err.message));
+  }
+}
+
+//createConnection:
+//- The leader's stand-in for one socket. Mirrors the bits of the socket.io API the handlers use, and either does the
+//  real thing on our own socket or sends the request to the process that has it
+function createConnection(id, instanceId) {
+  const listeners = {};
+  const middleware = [];
+  let closed = false;
+
+  const connection = {
+    id,
+    instanceId,
+    disconnected: false,
+    on(event, handler) {
+      (listeners[event] = listeners[event] || []).push(handler);
+    },
+    use(fn) {
+      middleware.push(fn);
+    },
+    join(room) {
+      runOnSocket(connection, { type: 'join', room });
+    },
+    leave(room) {
+      runOnSocket(connection, { type: 'leave', room });
+    },
+    disconnect() {
+      if (connection.disconnected) return;
+      connection.disconnected = true;
+      runOnSocket(connection, { type: 'disconnect' });
+      //Our own sockets report back through 'disconnect' straight away; for anyone else's, don't wait on the round trip
+      if (instanceId !== INSTANCE_ID) connection.close();
+    },
+    dispatch(packet) {
+      let index = 0;
+      const next = err => {
+        if (err || connection.disconnected) return;
+        if (index < middleware.length) {
+          middleware[index++](packet, next);
+          return;
+        }
+        (listeners[packet[0]] || []).forEach(handler => handler(...packet.slice(1)));
+      };
+      next();
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      connection.disconnected = true;
+      delete connections[id];
+      markChanged('sockets', id);
+      (listeners.disconnect || []).forEach(handler => handler());
+    }
+  };
+  connections[id] = connection;
+  markChanged('sockets', id);
+  return connection;
+}
+
+//runOnSocket:
+//- join/leave/disconnect on the real socket, here or in the process that has it
+function runOnSocket(connection, command) {
+  if (connection.instanceId !== INSTANCE_ID) {
+    storage.publish(instanceChannel(connection.instanceId), Object.assign({ id: connection.id }, command))
+      .catch(err => console.error('Could not reach another instance:', err.message));
+    return;
+  }
+  const socket = localSockets[connection.id];
+  if (!socket) return;
+  if (command.type === 'join') socket.join(command.room);
+  else if (command.type === 'leave') socket.leave(command.room);
+  else if (command.type === 'disconnect') socket.disconnect(true);
+}
+
+//sendToLeader:
+//- Socket events and admin actions. If that's us it happens right now, exactly like before there were other processes
+function sendToLeader(message) {
+  if (isLeader) {
+    handleLeaderMessage(message);
+    return;
+  }
+  storage.publish(LEADER_CHANNEL, message).catch(err => console.error('Could not reach the leader:', err.message));
+}
+
+//handleLeaderMessage:
+//- connect / packet / disconnect for sockets anywhere, and admin actions
+function handleLeaderMessage(message) {
+  if (!isLeader) return;
+  if (message.type === 'connect') {
+    if (!connections[message.id]) handleConnection(createConnection(message.id, message.from));
+  } else if (message.type === 'packet') {
+    const connection = connections[message.id];
+    if (connection) connection.dispatch(message.packet);
+  } else if (message.type === 'disconnect') {
+    const connection = connections[message.id];
+    if (connection) connection.close();
+  } else if (message.type === 'admin') {
+    runAdminAction(message.action);
+  }
+}
+
+//handleInstanceMessage:
+//- The leader wants one of our sockets moved between rooms or dropped
+function handleInstanceMessage(message) {
+  const socket = localSockets[message.id];
+  if (!socket) return;
+  if (message.type === 'join') socket.join(message.room);
+  else if (message.type === 'leave') socket.leave(message.room);
+  else if (message.type === 'disconnect') socket.disconnect(true);
+}
+
+//markChanged:
+//- Every code path that changes shared state calls this with the STORAGE_KEYS table and the ids it added, changed or
+//  deleted ('queue' and 'tables' are written whole, so they take no ids). The next saveSharedState writes just those
+//- Leader only, and only with other processes around; a single process has nobody to save for
+function markChanged(table, ...ids) {
+  if (!CLUSTERED || !isLeader) return;
+  if (changedState) {
+    const touched = changedState[table] || (changedState[table] = new Set());
+    ids.forEach(id => touched.add(id));
+  }
+  scheduleStateSave();
+}
+
+//sharedRecords:
+//- The leader's copy of one of the hashes saveSharedState writes. For sockets that's which process each one is on
+function sharedRecords(table) {
+  if (table === 'sockets') return Object.fromEntries(Object.values(connections).map(c => [c.id, c.instanceId]));
+  return { players, matches, challenges, privateRooms, rematchOffers, heldSeats, tournaments }[table];
+}
+
+//withoutTimer:
+//- A record minus its `timer`, which doesn't serialize (a new leader sets new ones from expiresAt)
+function withoutTimer(record) {
+  if (!record || typeof record !== 'object' || !('timer' in record)) return record;
+  const { timer, ...rest } = record;
+  return rest;
+}
+
+//saveSharedState:
+//- Leader only. Writes the records markChanged was told about and deletes the ones that are gone since. Right after we
+//  take over (or a write fails) changedState is null, and everything a new leader or a follower answering REST calls
+//  needs gets written whole instead
+function saveSharedState() {
+  const changed = changedState;
+  changedState = {};
+  const writeQueue = () => storage.replaceList(STORAGE_KEYS.queue, waitingQueue);
+  const writeTables = () => storage.set(STORAGE_KEYS.tables, { leaderId: INSTANCE_ID, lobbyChatHistory, storeVersion });
+  if (!changed) {
+    const hashes = ['players', 'matches', 'challenges', 'privateRooms', 'rematchOffers', 'heldSeats', 'tournaments', 'sockets']
+      .map(table => {
+        const records = sharedRecords(table);
+        return storage.replaceHash(STORAGE_KEYS[table], Object.fromEntries(Object.keys(records).map(id => [id, withoutTimer(records[id])])));
+      });
+    return Promise.all(hashes.concat(writeQueue(), writeTables()));
+  }
+  return Promise.all(Object.entries(changed).map(([table, ids]) => {
+    if (table === 'queue') return writeQueue();
+    if (table === 'tables') return writeTables();
+    const records = sharedRecords(table);
+    const updated = {};
+    const removed = [];
+    ids.forEach(id => {
+      if (Object.prototype.hasOwnProperty.call(records, id)) updated[id] = withoutTimer(records[id]);
+      else removed.push(id);
+    });
+    return storage.updateHash(STORAGE_KEYS[table], updated, removed);
+  }));
+}
+
+//scheduleStateSave:
+//- Queues a saveSharedState for right after whatever is running now (a socket event, an admin action, a game timer), so
+//  everything one of them changed goes out in one save. markChanged is what calls it
+//- Saves run one after another, so the storage never ends up with an older copy on top of a newer one. A failed one
+//  forgets what it was told, so the next save writes everything again
+function scheduleStateSave() {
+  if (!CLUSTERED || !isLeader || stateSaveQueued) return;
+  stateSaveQueued = true;
+  stateSaveChain = stateSaveChain
+    .then(() => new Promise(resolve => setImmediate(resolve)))
+    .then(() => {
+      stateSaveQueued = false;
+      return saveSharedState();
+    })
+    .catch(err => {
+      changedState = null;
+      console.error('Could not save shared state:', err.message);
+    });
+}
+
+//loadSharedState:
+//- Followers run this every STATE_SYNC_MS, and a new leader once more right before taking over. Resolves with the
+//  socket -> process table, which only a new leader needs
+function loadSharedState() {
+  return Promise.all([
+    storage.getHash(STORAGE_KEYS.players),
+    storage.getHash(STORAGE_KEYS.matches),
+    storage.getList(STORAGE_KEYS.queue),
+    storage.getHash(STORAGE_KEYS.challenges),
+    storage.getHash(STORAGE_KEYS.privateRooms),
+    storage.getHash(STORAGE_KEYS.rematchOffers),
+    storage.getHash(STORAGE_KEYS.heldSeats),
+    storage.getHash(STORAGE_KEYS.tournaments),
+    storage.getHash(STORAGE_KEYS.sockets),
+    storage.get(STORAGE_KEYS.tables)
+  ]).then(([savedPlayers, savedMatches, savedQueue, savedChallenges, savedRooms, savedOffers, savedSeats, savedTournaments, sockets, tables]) => {
+    players = savedPlayers;
+    matches = savedMatches;
+    waitingQueue = savedQueue;
+    challenges = savedChallenges;
+    privateRooms = savedRooms;
+    rematchOffers = savedOffers;
+    heldSeats = savedSeats;
+    tournaments = savedTournaments;
+    if (!tables) return sockets;
+    lobbyChatHistory = tables.lobbyChatHistory || [];
+    storeVersion = tables.storeVersion || 0;
+    if (!CLUSTERED || storeVersion === loadedStoreVersion) return sockets;
+    return storage.get(STORAGE_KEYS.store).then(saved => {
+      if (saved) applyStore(saved);
+      loadedStoreVersion = storeVersion;
+      return sockets;
+    });
+  });
+}
+
+//becomeLeader:
+//- We just got the lease. Take the newest copy of everything, rebuild a connection for every socket still around,
+//  and restart what only exists as timers: held seats, challenges, private rooms and rematch offers running out, round
+//  clocks, heartbeats, bot moves. Everyone gets a fresh heartbeat window since their heartbeats had nowhere to go while
+//  there was no leader
+function becomeLeader() {
+  const ready = CLUSTERED ? loadSharedState() : Promise.resolve({});
+  return ready.then(sockets => {
+    isLeader = true;
+    changedState = null;
+    const now = clock.now();
+    Object.entries(sockets).forEach(([id, instanceId]) => {
+      if (players[id] && !connections[id]) handleConnection(createConnection(id, instanceId), true);
+    });
+    Object.values(players).forEach(p => {
+      if (!p.isBot && !p.disconnectedAt) touchHeartbeat(p);
+    });
+    Object.entries(heldSeats).forEach(([profileId, seat]) => {
+      seat.timer = clock.setTimeout(() => expireHeldSeat(profileId), Math.max(0, seat.expiresAt - now));
+    });
+    Object.values(challenges).forEach(challenge => {
+      challenge.timer = clock.setTimeout(() => closeChallenge(challenge.id, 'expired'), Math.max(0, challenge.expiresAt - now));
+    });
+    Object.values(privateRooms).forEach(room => {
+      room.timer = clock.setTimeout(() => closePrivateRoom(room.code, 'expired'), Math.max(0, room.expiresAt - now));
+    });
+    Object.values(rematchOffers).forEach(offer => {
+      offer.timer = clock.setTimeout(() => closeRematch(offer.id, 'expired'), Math.max(0, offer.expiresAt - now));
+    });
+    Object.values(matches).forEach(match => {
+      if (match.status !== 'active') return;
+      armRoundTimer(match);
+      if (match.vsBot) scheduleBotMoves(match);
+    });
+    scheduleStateSave();
+    console.log(`Instance ${INSTANCE_ID} is now the leader${CLUSTERED ? '' : ' (single process)'}`);
+  });
+}
+
+//renewLeadership:
+//- Takes or keeps the lease. Losing it means someone else is running the game now, and the only safe thing to do with
+//  our stale copy (and its timers) is to stop; the process manager restarts us as a follower. Same if we can't reach
+//  the storage for so long that the lease has surely run out
+function renewLeadership() {
+  return storage.acquireLease(STORAGE_KEYS.leader, INSTANCE_ID, LEADER_LEASE_MS)
+    .then(held => {
+      if (held) lastLeaseRenewedAt = Date.now();
+      if (held && !isLeader) return becomeLeader();
+      if (!held && isLeader) {
+        console.error('Lost the leader lease to another instance, exiting');
+        //Our copy of the game is stale now, so nothing more of it goes out to the storage. The store still gets flushed
+        isLeader = false;
+        return stopAndExit(1);
+      }
+      return null;
+    })
+    .catch(err => {
+      console.error('Could not renew the leader lease:', err.message);
+      if (isLeader && Date.now() - lastLeaseRenewedAt > LEADER_LEASE_MS) {
+        console.error('Leader lease has expired, exiting');
+        return stopAndExit(1);
+      }
+      return null;
+    });
+}
+
+//startInstance:
+//- Hooks this process up to the storage, settles who leads, and keeps both the lease and the shared state going
+function startInstance() {
+  if (CLUSTERED) io.adapter(ClusterAdapter);
+
+  //Every socket, on every process, is only a pipe to the leader
+  io.on('connection', socket => {
+    localSockets[socket.id] = socket;
+    sendToLeader({ type: 'connect', id: socket.id, from: INSTANCE_ID });
+    socket.use(packet => {
+      sendToLeader({ type: 'packet', id: socket.id, packet: packet.slice(0, 2) });
+    });
+    socket.on('disconnect', () => {
+      delete localSockets[socket.id];
+      sendToLeader({ type: 'disconnect', id: socket.id });
+    });
+  });
+
+  return Promise.all([
+    storage.subscribe(LEADER_CHANNEL, handleLeaderMessage),
+    storage.subscribe(instanceChannel(INSTANCE_ID), handleInstanceMessage),
+    storage.subscribe(BROADCAST_CHANNEL, message => {
+      if (message.from === INSTANCE_ID) return;
+      io.of('/').adapter.broadcast(message.packet, message.opts, true);
+    })
+  ])
+    .then(() => renewLeadership())
+    .then(() => {
+      if (!isLeader) return loadSharedState();
+      return null;
+    })
+    .then(() => {
+      instanceTimers.push(setInterval(renewLeadership, LEADER_RENEW_MS));
+      //The leader saves as it goes (see markChanged); followers catch up on a timer. A single process has nobody
+      //to share its state with, so it skips the copying altogether (like flushStore does)
+      if (CLUSTERED) {
+        instanceTimers.push(setInterval(() => {
+          if (isLeader) return;
+          loadSharedState().catch(err => console.error('Could not sync shared state:', err.message));
+        }, STATE_SYNC_MS));
+      }
+      console.log(`Instance ${INSTANCE_ID} started as ${isLeader ? 'leader' : 'follower'}`);
+    });
+}
+
+//_Socket.io event wiring_
+//The heart of the server, and the that handles what happens when a client connects, sends events, and disconnects
+
+//handleConnection:
+//- Runs on the leader for every new socket (see _Scaling_). takenOver is set when a new leader rebuilds a socket that
+//  was already here before, so it only needs its handlers wired up again, not a new player record
+function handleConnection(socket, takenOver = false) {
+  //Every inbound event goes through the schema check and rate limiter before any handler below sees it
+  socket.use(createEventGuard(socket));
+  if (!takenOver) welcomeNewSocket(socket);
+  wireSocketEvents(socket);
+}
+
+//welcomeNewSocket:
+//- A brand new socket: make its player record, put it in the lobby and tell it what the lobby can offer
+function welcomeNewSocket(socket) {
+  console.log('Client connected:', socket.id);
+
+  //Newly connected players always start as lobby spectators, *not* queued. I immediately create a server-side player record,
+  //even before I know their name
+  players[socket.id] = {
     id: socket.id,
     name: 'Anonymous',
     preferredColor: '#ffffff',
@@ -519,48 +3927,197 @@ io.on('connection', socket => {
     roomId: 'lobby',
     matchId: null,
     spectatingMatchId: null,
+    profileId: null,
     totalWins: 0,
     totalLosses: 0,
-    timeLastHeartbeat: Date.now(),
-    wantsMatch: false
+    rating: RATING_DEFAULT,
+    queueRuleset: buildRuleset(),
+    timeLastHeartbeat: clock.now(),
+    rttMs: null,
+    latencyPing: null,
+    wantsMatch: false,
+    queuedAt: null,
+    disconnectedAt: null,
+    allowBotBackfill: true,
+    mutedUntil: 0,
+    isBot: false
   };
+  markChanged('players', socket.id);
+
+  touchHeartbeat(players[socket.id]);
 
   //Makes sure they are not in the queue from some weird edge-case, then joins to the lobby room
   removeFromWaitingQueue(socket.id);
   socket.join('lobby');
   broadcastLobbyState();
+  sendLobbySnapshot(socket.id);
+
+  //Tell the client which rulesets and options it can offer in the lobby, so none of that has to be hard-coded over there
+  io.to(socket.id).emit('rulesetCatalog', {
+    rulesets: Object.values(RULESETS).map(rs => ({ id: rs.id, name: rs.name, moves: rs.moves })),
+    defaultRulesetId: DEFAULT_RULESET_ID,
+    bestOfOptions: BEST_OF_OPTIONS,
+    roundSecondsOptions: ROUND_SECONDS_OPTIONS,
+    modes: MATCH_MODES,
+    ffaSizeOptions: FFA_SIZE_OPTIONS
+  });
+  io.to(socket.id).emit('botStrategies', {
+    strategies: Object.entries(BOT_STRATEGIES).map(([id, s]) => ({ id, name: s.name })),
+    backfillAfterMs: BOT_BACKFILL_MS
+  });
+  io.to(socket.id).emit('tournamentState', {
+    timestamp: clock.now(),
+    tournaments: Object.values(tournaments).map(serializeTournament)
+  });
+}
 
+//wireSocketEvents:
+//- Every event handler for one socket
+function wireSocketEvents(socket) {
   //joinLobby:
-  //- Called when the client’s page first loads and they send me their chosen name/color
+  //- Called when the client’s page first loads and they send me their chosen name/color (plus their saved token, if any)
+  //- A known token picks the stored profile back up; anything else gets a brand new profile and token
   //- Resets the player’s role to spectator and ensures they’re in the lobby
   socket.on('joinLobby', data => {
-    const now = Date.now();
+    const now = clock.now();
     const player = safeGetPlayer(socket.id);
     if (!player) return;
 
-    const name = (data && data.name) ? String(data.name).slice(0, 20) : 'Anonymous';
-    const preferredColor = (data && data.preferredColor) || '#ff00ff';
+    let profile = getProfileByToken(data && data.token);
+    const name = (data && data.name && data.name.trim())
+      ? data.name.trim().slice(0, 20)
+      : (profile ? profile.name : 'Anonymous');
+    const preferredColor = (data && data.preferredColor) || (profile ? profile.preferredColor : '#ff00ff');
+
+    //Banned profiles get turned away at the door
+    if (profile && profile.bannedAt) {
+      logRejection(socket.id, 'joinLobby', 'banned');
+      kickSocket(socket.id, 'banned', 'operator');
+      return;
+    }
+
+    if (!profile) {
+      profile = createProfile(name, preferredColor);
+    }
+
+    //One socket per profile. A second tab shares the token in localStorage, so the newest one takes over and the older
+    //one is signed out; whatever match it was in is held for us like a reconnect (and picked up just below)
+    Object.values(players)
+      .filter(p => p.id !== socket.id && !p.isBot && !p.disconnectedAt && p.profileId === profile.profileId)
+      .forEach(p => kickSocket(p.id, 'replaced', 'signed_in_elsewhere'));
+    profile.name = name;
+    profile.preferredColor = preferredColor;
+    profile.lastSeen = now;
+    saveStore();
 
+    player.profileId = profile.profileId;
     player.name = name;
     player.preferredColor = preferredColor;
+    player.totalWins = profile.totalWins;
+    player.totalLosses = profile.totalLosses;
+    player.rating = profile.rating;
+    player.mutedUntil = Math.max(player.mutedUntil, profile.mutedUntil || 0);
+    markChanged('players', socket.id);
+
+    //Only this socket ever sees the token. The client stores it so the next page load can claim the same profile.
+    //resumedMatchId tells the client whether to expect a match_snapshot or to drop whatever match it thought it was in
+    const seat = heldSeats[profile.profileId];
+    io.to(socket.id).emit('accountInfo', {
+      token: profile.token,
+      profileId: profile.profileId,
+      name: profile.name,
+      preferredColor: profile.preferredColor,
+      totalWins: profile.totalWins,
+      totalLosses: profile.totalLosses,
+      rating: profile.rating,
+      resumedMatchId: seat ? seat.matchId : null
+    });
+
+    //If this profile has a seat being held in a match, put them straight back into it instead of the lobby
+    if (resumeHeldSeat(socket, player)) {
+      touchHeartbeat(player);
+      console.log(`Player ${player.id} rejoined as "${player.name}" (profile ${profile.profileId})`);
+      broadcastLobbyState();
+      return;
+    }
+
     player.role = 'spectator';
     player.roomId = 'lobby';
     player.matchId = null;
-    player.timeLastHeartbeat = now;
+    touchHeartbeat(player);
     player.wantsMatch = false;
 
     //Absolutely no auto-queue here. Thank God for that.
     removeFromWaitingQueue(socket.id);
     socket.join('lobby');
 
-    console.log(`Player ${player.id} joined lobby as "${player.name}"`);
+    //Catch them up on who they've muted and what the lobby has been saying
+    emitChatPrefs(player);
+    io.to(socket.id).emit('chatHistory', {
+      timestamp: now,
+      channel: 'lobby',
+      messages: lobbyChatHistory.filter(msg => !isIgnoring(player, msg.fromProfileId))
+    });
+
+    console.log(`Player ${player.id} joined lobby as "${player.name}" (profile ${profile.profileId})`);
 
     broadcastLobbyState();
     //Do NOT call tryStartMatches here; only on setQueueStatus/rematch
   });
 
+  //updateProfile:
+  //- The settings screen renaming us or changing our color mid-session. Names get the same trim and 20-character cut as
+  //  joinLobby; the schema has already turned away blank names and anything that isn't #rrggbb
+  //- A name someone else online already goes by (in any case) is turned down with error 'name_taken', since /w and the
+  //  operator commands find people by name and would otherwise pick whichever of the two comes first
+  //- Saved on the profile, confirmed back with 'profileUpdated', then the lobby hears about it in the next lobbyPatch
+  //- Tournaments we're signed up for (or still playing in) copied our old name when we joined, so they get the new one
+  socket.on('updateProfile', data => {
+    const player = safeGetPlayer(socket.id);
+    const profile = player && profiles[player.profileId];
+    if (!profile || !data) return;
+
+    const name = data.name != null ? data.name.trim().slice(0, 20) : null;
+    const holder = name && findOnlinePlayerByName(name);
+    if (holder && holder.profileId !== profile.profileId) {
+      logRejection(socket.id, 'updateProfile', 'name_taken');
+      io.to(socket.id).emit('profileUpdated', {
+        timestamp: clock.now(),
+        error: 'name_taken',
+        name: profile.name,
+        preferredColor: profile.preferredColor
+      });
+      return;
+    }
+
+    if (name != null) player.name = profile.name = name;
+    if (data.preferredColor != null) player.preferredColor = profile.preferredColor = data.preferredColor;
+    markChanged('players', socket.id);
+    saveStore();
+
+    io.to(socket.id).emit('profileUpdated', {
+      timestamp: clock.now(),
+      name: profile.name,
+      preferredColor: profile.preferredColor
+    });
+
+    let renamed = false;
+    Object.values(tournaments)
+      .filter(t => t.status === 'registering' || t.status === 'running')
+      .forEach(t => t.entrants.forEach(e => {
+        if (e.profileId === profile.profileId && e.name !== profile.name) {
+          e.name = profile.name;
+          markChanged('tournaments', t.id);
+          renamed = true;
+        }
+      }));
+    if (renamed) broadcastTournamentState();
+    broadcastLobbyState();
+  });
+
   //setQueueStatus:
   //- Client explicitly asks to join or leave the matchmaking queue
+  //- When joining, the client can also say which ruleset it wants ({ id, bestOf, roundSeconds }); buildRuleset cleans it up
   //- This is the only place where "wantsMatch" is toggled and queue membership is updated
   socket.on('setQueueStatus', data => {
     const player = safeGetPlayer(socket.id);
@@ -568,12 +4125,12 @@ io.on('connection', socket => {
     const inQueue = !!(data && data.inQueue);
 
     if (inQueue) {
-      player.wantsMatch = true;
-      if (!waitingQueue.includes(socket.id)) {
-        waitingQueue.push(socket.id);
-      }
+      player.queueRuleset = buildRuleset(data.ruleset);
+      player.allowBotBackfill = data.allowBots !== false;
+      addToWaitingQueue(socket.id);
     } else {
       player.wantsMatch = false;
+      markChanged('players', socket.id);
       removeFromWaitingQueue(socket.id);
     }
 
@@ -590,37 +4147,26 @@ io.on('connection', socket => {
     if (!player || !data) return;
     const matchId = data.matchId;
     const match = matches[matchId];
-    if (!match || match.status !== 'active') return;
+    if (!match || match.status !== 'active' || match.isPrivate) return;
 
     //If they were spectating another match, leave its room first
-    if (player.spectatingMatchId && player.spectatingMatchId !== matchId) {
-      const oldMatch = matches[player.spectatingMatchId];
-      if (oldMatch) {
-        socket.leave(oldMatch.roomId);
-      }
+    const oldMatch = player.spectatingMatchId !== matchId ? matches[player.spectatingMatchId] : null;
+    if (oldMatch) {
+      socket.leave(oldMatch.roomId);
     }
 
     socket.join(match.roomId);
     player.spectatingMatchId = matchId;
     player.roomId = match.roomId; // for clarity
+    markChanged('players', socket.id);
 
-    const now = Date.now();
     //Send the spectator a snapshot so their client can reconstruct the UI
-    io.to(socket.id).emit('match_snapshot', {
-      timestamp: now,
-      matchId: match.id,
-      players: match.players.map(pid => {
-        const p = safeGetPlayer(pid);
-        return p ? { id: p.id, name: p.name } : { id: pid, name: 'Unknown' };
-      }),
-      scores: match.scores,
-      round: match.round,
-      turnInfo: {
-        holderId: match.currentTurn,
-        expiresAt: match.turnDeadline,
-        durationMs: ROUND_TIME_LIMIT
-      }
-    });
+    io.to(socket.id).emit('match_snapshot', buildMatchSnapshot(match, socket.id));
+
+    //Both rooms' audiences just changed, and so did the lobby's list of matches
+    broadcastSpectatorCount(oldMatch);
+    broadcastSpectatorCount(match);
+    broadcastLobbyState();
   });
 
   //leaveSpectate:
@@ -635,27 +4181,69 @@ io.on('connection', socket => {
     }
     player.spectatingMatchId = null;
     player.roomId = 'lobby';
+    markChanged('players', socket.id);
     socket.join('lobby');
+    broadcastSpectatorCount(match);
     broadcastLobbyState();
   });
 
+  //predictRound:
+  //- A spectator votes on who takes the current round ({ matchId, pick } where pick is a player id or 'tie')
+  //- Only they hear back (predictionRecorded); everyone sees the totals with round_result
+  socket.on('predictRound', data => {
+    const match = matches[data.matchId];
+    if (!match || match.status !== 'active') return;
+    if (!recordPrediction(match, socket.id, data.pick)) return;
+    io.to(socket.id).emit('predictionRecorded', {
+      timestamp: clock.now(),
+      matchId: match.id,
+      round: match.round,
+      pick: data.pick
+    });
+  });
+
   //heartbeat (again):
   //- Client sends this periodically to tell us “I’m still here!”
   //- WI record the time so I can detect AFK/dead clients later, as well as to make sure information is passed efficiently between
   //server and client
-  socket.on('heartbeat', data => {
+  //- The time recorded is always our own clock. The client's timestamp is ignored, otherwise a client could send a time far
+  //in the future and never look idle
+  socket.on('heartbeat', () => {
     const player = safeGetPlayer(socket.id);
     if (!player) return;
-    player.timeLastHeartbeat = data && data.timestamp ? data.timestamp : Date.now();
+    touchHeartbeat(player);
+  });
+
+  //lobbyResync:
+  //- The client saw a gap in the lobbyPatch versions (it was off in a match, or a patch went missing), so it gets the
+  //  whole lobby again to start over from
+  socket.on('lobbyResync', () => {
+    if (!safeGetPlayer(socket.id)) return;
+    sendLobbySnapshot(socket.id);
+  });
+
+  //timeSync:
+  //- One NTP-style sample (see _Clock sync_): we echo clientTime back with our own clock as the timestamp, straight away
+  socket.on('timeSync', data => {
+    io.to(socket.id).emit('timeSyncReply', { timestamp: clock.now(), clientTime: data.clientTime });
+  });
+
+  //latencyPong:
+  //- The answer to our last latencyPing. Anything but that ping's id (an old one, a repeat, a guess) is ignored
+  socket.on('latencyPong', data => {
+    const player = safeGetPlayer(socket.id);
+    if (!player || !player.latencyPing || player.latencyPing.id !== data.pingId) return;
+    player.latencyPing.id = null;
+    recordRtt(player, clock.now() - player.latencyPing.sentAt);
   });
 
   //playerMove:
-  //- One of the two match players has chosen rock/paper/scissors
+  //- One of the two match players has chosen a move (rock/paper/scissors, or whatever this match's ruleset allows)
   //- I validate that:
   //  - the player exists (they must to be in a match_)
   //  - the match exists and is active (evidenced by the assets and UI elements currently running)
   //  - the sender is actually in that match (dynamic)
-  //  - the move is valid and not past the deadline (dynamic)
+  //  - the move is in this match's ruleset and not past the deadline (dynamic)
   //- When both players have moved, we resolve the round immediately (dynamic)
   socket.on('playerMove', data => {
     const player = safeGetPlayer(socket.id);
@@ -668,55 +4256,319 @@ io.on('connection', socket => {
     const match = matches[matchId];
     if (!match || match.status !== 'active') return;
 
-    if (!match.players.includes(socket.id)) return;
-    if (!['rock', 'paper', 'scissors'].includes(move)) return;
-    if (Date.now() > match.turnDeadline) return;
+    if (!match.players.includes(socket.id) || match.out[socket.id]) return;
+    if (!match.ruleset.moves.includes(move)) return;
+    //Commit-reveal matches only take moves through commitMove/revealMove
+    if (match.ruleset.commitReveal) return;
+    if (!checkMoveInTime(match, player, data.round)) return;
+
+    submitMove(match, socket.id, move);
+  });
 
-    match.moves[socket.id] = move;
-    console.log(`Move from ${socket.id} in match ${matchId}: ${move}`);
+  //commitMove:
+  //- First half of a commit-reveal move: { matchId, commitment } where commitment is the sha256 hex from hashCommitment
+  //- One commitment per player per round, and only while the round clock is still running
+  socket.on('commitMove', data => {
+    const player = safeGetPlayer(socket.id);
+    if (!player || !data) return;
+    const match = matches[data.matchId];
+    if (!match || match.status !== 'active' || !match.ruleset.commitReveal) return;
+    if (!match.players.includes(socket.id) || match.commitments[socket.id]) return;
+    if (typeof data.commitment !== 'string' || !/^[0-9a-f]{64}$/.test(data.commitment)) return;
+    if (!checkMoveInTime(match, player, data.round)) return;
 
-    const [idA, idB] = match.players;
-    if (match.moves[idA] && match.moves[idB]) {
-      resolveRound(match, 'moves');
-    }
+    submitCommitment(match, socket.id, data.commitment);
+  });
+
+  //revealMove:
+  //- Second half: { matchId, move, salt }, checked against the commitment in submitReveal
+  socket.on('revealMove', data => {
+    if (!safeGetPlayer(socket.id) || !data) return;
+    const match = matches[data.matchId];
+    if (!match || match.status !== 'active' || !match.ruleset.commitReveal) return;
+    if (!match.players.includes(socket.id)) return;
+    if (typeof data.move !== 'string' || typeof data.salt !== 'string' || data.salt.length > 128) return;
+
+    submitReveal(match, socket.id, data.move, data.salt);
   });
 
   //YAY THE CHAT!
-  //Players AND spectators in the match room may chat
-  //- The client passes matchId and text
-  //- We trust that matchId enough to look it up, then send message to that room attached to the client's chosen name and ID
+  //Players AND spectators in the match room may chat, and so can everyone in the lobby (channel: 'lobby')
+  //- The client passes matchId (or channel) and text; commands like /w and /mute come through here too
+  //- All the actual work (filtering, mutes, commands, history) lives in handleChatMessage, see _Chat_
   socket.on('chatMessage', data => {
     const player = safeGetPlayer(socket.id);
     if (!player || !data) return;
+    handleChatMessage(player, data);
+  });
 
-    const matchId = data.matchId;
-    let text = data.text;
-    if (typeof text !== 'string') return;
-    text = text.trim();
-    if (!text) return;
-    text = text.slice(0, 200);
+  //setChatBlock:
+  //- Mute ('mute'), block ('block') or clear ('none') another player, by profileId. Saved on our profile
+  socket.on('setChatBlock', data => {
+    const player = safeGetPlayer(socket.id);
+    if (!player || !data) return;
+    setChatBlock(player, data.profileId, data.mode);
+  });
 
-    const match = matches[matchId];
-    if (!match || match.status !== 'active') return;
+  //sendChallenge:
+  //- Client picked someone off the lobby list and wants to play them directly, with the ruleset from their lobby toggles
+  //- Both players have to be free, and only one challenge can be open between the same two people at a time
+  socket.on('sendChallenge', data => {
+    const player = safeGetPlayer(socket.id);
+    if (!player || !data) return;
+    const target = safeGetPlayer(data.targetId);
 
-    io.to(match.roomId).emit('chatMessage', {
-      timestamp: Date.now(),
-      matchId: match.id,
+    let error = null;
+    if (!target || target.id === socket.id || sameProfile(player, target)) error = 'invalid_target';
+    else if (!isAvailableForMatch(player) || !isAvailableForMatch(target)) error = 'player_unavailable';
+    else if (hasBlocked(target, player.profileId)) error = 'player_unavailable';
+    else if (Object.values(challenges).some(c =>
+      (c.fromId === socket.id && c.toId === target.id) || (c.fromId === target.id && c.toId === socket.id)
+    )) error = 'already_pending';
+
+    if (error) {
+      io.to(socket.id).emit('challengeError', { timestamp: clock.now(), reason: error });
+      return;
+    }
+
+    const challengeId = crypto.randomBytes(6).toString('hex');
+    const challenge = {
+      id: challengeId,
       fromId: socket.id,
-      fromName: player.name,
-      text
+      toId: target.id,
+      ruleset: buildDuelRuleset(data.ruleset),
+      expiresAt: clock.now() + CHALLENGE_TIMEOUT_MS,
+      timer: clock.setTimeout(() => closeChallenge(challengeId, 'expired'), CHALLENGE_TIMEOUT_MS)
+    };
+    challenges[challengeId] = challenge;
+    markChanged('challenges', challengeId);
+
+    const payload = {
+      timestamp: clock.now(),
+      challengeId,
+      from: describeMatchPlayer(socket.id),
+      to: describeMatchPlayer(target.id),
+      ruleset: challenge.ruleset,
+      expiresAt: challenge.expiresAt
+    };
+    io.to(socket.id).emit('challengeSent', payload);
+    io.to(target.id).emit('challengeReceived', payload);
+  });
+
+  //respondChallenge:
+  //- The challenged player accepts or declines. Accepting starts the match straight away (if both are still free)
+  socket.on('respondChallenge', data => {
+    if (!data) return;
+    const challenge = challenges[data.challengeId];
+    if (!challenge || challenge.toId !== socket.id) return;
+
+    if (!data.accept) {
+      closeChallenge(challenge.id, 'declined');
+      return;
+    }
+
+    const challenger = safeGetPlayer(challenge.fromId);
+    const target = safeGetPlayer(challenge.toId);
+    if (!isAvailableForMatch(challenger) || !isAvailableForMatch(target)) {
+      closeChallenge(challenge.id, 'unavailable');
+      return;
+    }
+
+    closeChallenge(challenge.id, 'accepted');
+    removeFromWaitingQueue(challenge.fromId);
+    removeFromWaitingQueue(challenge.toId);
+    createMatch([challenge.fromId, challenge.toId], challenge.ruleset);
+  });
+
+  //cancelChallenge:
+  //- The challenger changed their mind before getting an answer
+  socket.on('cancelChallenge', data => {
+    if (!data) return;
+    const challenge = challenges[data.challengeId];
+    if (!challenge || challenge.fromId !== socket.id) return;
+    closeChallenge(challenge.id, 'cancelled');
+  });
+
+  //createPrivateRoom:
+  //- Makes a shareable code for a match that stays out of the lobby list. One open room per host
+  socket.on('createPrivateRoom', data => {
+    const player = safeGetPlayer(socket.id);
+    if (!isAvailableForMatch(player)) return;
+
+    Object.values(privateRooms)
+      .filter(room => room.hostId === socket.id)
+      .forEach(room => closePrivateRoom(room.code, 'replaced'));
+
+    const code = generateRoomCode();
+    privateRooms[code] = {
+      code,
+      hostId: socket.id,
+      ruleset: buildDuelRuleset(data && data.ruleset),
+      expiresAt: clock.now() + PRIVATE_ROOM_TIMEOUT_MS,
+      timer: clock.setTimeout(() => closePrivateRoom(code, 'expired'), PRIVATE_ROOM_TIMEOUT_MS)
+    };
+    markChanged('privateRooms', code);
+
+    io.to(socket.id).emit('privateRoomCreated', {
+      timestamp: clock.now(),
+      code,
+      ruleset: privateRooms[code].ruleset,
+      expiresAt: privateRooms[code].expiresAt
     });
   });
 
-  //requestRematch:
-  //- A player wants to hop back into the matchmaking queue after a match, so I mark them as wanting a match again and push them
-  // to waitingQueue
-  socket.on('requestRematch', data => {
+  //joinPrivateRoom:
+  //- Someone typed in a room code. If it's real and the host is still free, the private match starts
+  socket.on('joinPrivateRoom', data => {
     const player = safeGetPlayer(socket.id);
     if (!player || !data) return;
+    const code = typeof data.code === 'string' ? data.code.trim().toUpperCase() : '';
+    const room = privateRooms[code];
+
+    let error = null;
+    if (!room) error = 'room_not_found';
+    else if (room.hostId === socket.id || sameProfile(player, safeGetPlayer(room.hostId))) error = 'own_room';
+    else if (!isAvailableForMatch(player) || !isAvailableForMatch(safeGetPlayer(room.hostId))) error = 'player_unavailable';
+
+    if (error) {
+      io.to(socket.id).emit('challengeError', { timestamp: clock.now(), reason: error });
+      return;
+    }
+
+    closePrivateRoom(code, 'joined');
+    removeFromWaitingQueue(room.hostId);
+    removeFromWaitingQueue(socket.id);
+    createMatch([room.hostId, socket.id], room.ruleset, { isPrivate: true });
+  });
+
+  //closePrivateRoom:
+  //- Host gave up waiting and wants their code thrown away
+  socket.on('closePrivateRoom', () => {
+    Object.values(privateRooms)
+      .filter(room => room.hostId === socket.id)
+      .forEach(room => closePrivateRoom(room.code, 'cancelled'));
+  });
+
+  //playBot:
+  //- Solo play: start a match against a bot right now, with the chosen strategy and the client's ruleset toggles
+  socket.on('playBot', data => {
+    const player = safeGetPlayer(socket.id);
+    if (!isAvailableForMatch(player)) return;
+    startBotMatch(socket.id, data && data.strategy, buildDuelRuleset(data && data.ruleset));
+  });
+
+  //createTournament:
+  //- Opens a tournament for registration with the host's ruleset toggles. One open tournament per host at a time
+  socket.on('createTournament', data => {
+    const player = safeGetPlayer(socket.id);
+    if (!player || !player.profileId || !data) return;
+    const hostsOpen = Object.values(tournaments).some(t =>
+      t.hostProfileId === player.profileId && (t.status === 'registering' || t.status === 'running'));
+    if (hostsOpen) {
+      io.to(socket.id).emit('tournamentError', { timestamp: clock.now(), error: 'already_hosting' });
+      return;
+    }
+    const id = crypto.randomBytes(6).toString('hex');
+    tournaments[id] = {
+      id,
+      name: data.name.trim().slice(0, 40) || `${player.name}'s Tournament`,
+      format: data.format,
+      seeding: data.seeding,
+      ruleset: buildDuelRuleset(data.ruleset),
+      hostProfileId: player.profileId,
+      hostName: player.name,
+      status: 'registering',
+      entrants: [],
+      bracket: {},
+      finalId: null,
+      championId: null,
+      createdAt: clock.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+    markChanged('tournaments', id);
+    console.log(`Tournament ${id} "${tournaments[id].name}" created by ${player.name}`);
+    broadcastTournamentState();
+  });
+
+  //joinTournament / leaveTournament:
+  //- Register or unregister while the tournament is still taking sign-ups
+  socket.on('joinTournament', data => {
+    const player = safeGetPlayer(socket.id);
+    const tournament = data && tournaments[data.tournamentId];
+    if (!player || !player.profileId || !tournament) return;
+    let error = null;
+    if (tournament.status !== 'registering') error = 'not_registering';
+    else if (tournament.entrants.length >= TOURNAMENT_MAX_PLAYERS) error = 'full';
+    else if (tournament.entrants.some(e => e.profileId === player.profileId)) error = 'already_joined';
+    if (error) {
+      io.to(socket.id).emit('tournamentError', { timestamp: clock.now(), tournamentId: tournament.id, error });
+      return;
+    }
+    tournament.entrants.push({ profileId: player.profileId, name: player.name, rating: player.rating, seed: null });
+    markChanged('tournaments', tournament.id);
+    broadcastTournamentState();
+  });
+
+  socket.on('leaveTournament', data => {
+    const player = safeGetPlayer(socket.id);
+    const tournament = data && tournaments[data.tournamentId];
+    if (!player || !tournament || tournament.status !== 'registering') return;
+    tournament.entrants = tournament.entrants.filter(e => e.profileId !== player.profileId);
+    markChanged('tournaments', tournament.id);
+    broadcastTournamentState();
+  });
+
+  //startTournament / cancelTournament:
+  //- Host only, and only before it has started
+  socket.on('startTournament', data => {
+    const player = safeGetPlayer(socket.id);
+    const tournament = data && tournaments[data.tournamentId];
+    if (!player || !tournament || tournament.hostProfileId !== player.profileId) return;
+    if (tournament.status !== 'registering') return;
+    if (tournament.entrants.length < TOURNAMENT_MIN_PLAYERS) {
+      io.to(socket.id).emit('tournamentError', { timestamp: clock.now(), tournamentId: tournament.id, error: 'not_enough_players' });
+      return;
+    }
+    startTournament(tournament);
+    broadcastTournamentState();
+  });
+
+  socket.on('cancelTournament', data => {
+    const player = safeGetPlayer(socket.id);
+    const tournament = data && tournaments[data.tournamentId];
+    if (!player || !tournament || tournament.hostProfileId !== player.profileId) return;
+    if (tournament.status !== 'registering') return;
+    tournament.status = 'cancelled';
+    tournament.finishedAt = clock.now();
+    markChanged('tournaments', tournament.id);
+    pruneFinishedTournaments();
+    broadcastTournamentState();
+  });
+
+  //respondRematch:
+  //- Yes or no to the rematch offer from the match we just finished (see _Rematches_)
+  socket.on('respondRematch', data => {
+    if (!data) return;
+    const offer = rematchOffers[data.offerId];
+    if (!offer || !offer.players.includes(socket.id)) return;
+    answerRematch(offer, socket.id, data.accept);
+  });
+
+  //requestRematch:
+  //- The old one-button version. With a rematch offer open it counts as saying yes to it; without one, the player just
+  //  hops back into the matchmaking queue like it always did
+  //- It carries nothing (at most a timestamp), so a bare emit with no payload counts the same
+  socket.on('requestRematch', () => {
+    const player = safeGetPlayer(socket.id);
+    if (!player) return;
+    const offer = findRematchOffer(socket.id);
+    if (offer) {
+      answerRematch(offer, socket.id, true);
+      return;
+    }
     if (!waitingQueue.includes(socket.id)) {
-      player.wantsMatch = true;
-      waitingQueue.push(socket.id);
+      addToWaitingQueue(socket.id);
       broadcastLobbyState();
       tryStartMatches();
     }
@@ -734,26 +4586,75 @@ io.on('connection', socket => {
 
   //disconnect:
   //- The function called whenever socket.io notices the connection has dropped
-  //- I remove the player from queues, handle any match they are in, and broadcast a new lobby state so other players see the change
+  //- I remove the player from queues, hold (or forfeit) any match they are in, and broadcast a new lobby state so other players
+  //see the change
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
-    const player = safeGetPlayer(socket.id);
-    if (!player) return;
+    handlePlayerDisconnect(socket.id);
+  });
+}
 
-    removeFromWaitingQueue(socket.id);
-    player.spectatingMatchId = null;
+//_Starting and stopping_
+//Requiring this file only sets things up; nothing reads the disk, starts a timer or opens a port until startServer runs.
+//That's what lets the tests (test/) require it and start it on a port of their own. There's only one set of game state
+//per process, so it's one server per process too (node --test gives every test file its own process anyway)
 
-    if (player.matchId) {
-      handlePlayerLeaveMatch(socket.id, 'disconnect');
-    }
+let matchmakingTimer = null;
 
-    delete players[socket.id];
-    broadcastLobbyState();
+//startServer:
+//- Loads the store, settles who the leader is (so no socket shows up before someone is there to handle it), then
+//  starts the matchmaking tick and listens
+//- options.port defaults to PORT; 0 picks any free port. options.clock replaces the real clock (see _Clock_ in engine.js)
+//- Resolves with the port we actually got
+function startServer(options = {}) {
+  clock = options.clock || systemClock;
+  loadStore();
+  return startInstance().then(() => {
+    matchmakingTimer = clock.setInterval(runMatchmakingTick, 1000);
+    return new Promise(resolve => {
+      server.listen(options.port != null ? options.port : PORT, () => {
+        const port = server.address().port;
+        console.log(`Server running on http://localhost:${port}`);
+        resolve(port);
+      });
+    });
   });
-});
+}
+
+//stopServer:
+//- Closes every socket and the port, and stops the timers startServer started. Game timers that are still pending
+//  (round clocks and so on) belong to the clock, so a test clock simply never fires them
+//- A pending store write (see saveStore) and any shared state save that's still going out are finished first
+function stopServer() {
+  const flushed = storeWriteTimer ? flushStore() : Promise.resolve();
+  clock.clearInterval(matchmakingTimer);
+  instanceTimers.forEach(timer => clearInterval(timer));
+  instanceTimers = [];
+  return Promise.all([flushed, stateSaveChain, new Promise(resolve => io.close(() => resolve()))])
+    .then(() => storage.close());
+}
+
+//How long stopAndExit gives stopServer before leaving anyway, for when the storage it's writing to doesn't answer
+const STOP_TIMEOUT_MS = 5000;
+
+//stopAndExit:
+//- Ctrl+C, or losing the leader lease. Exits once stopServer is done (or STOP_TIMEOUT_MS is up)
+function stopAndExit(code) {
+  const timedOut = new Promise(resolve => setTimeout(resolve, STOP_TIMEOUT_MS).unref());
+  return Promise.race([stopServer(), timedOut])
+    .catch(err => console.error('Could not stop cleanly:', err.message))
+    .then(() => process.exit(code));
+}
+
+module.exports = { startServer, stopServer };
 
 //Finally, start the HTTP and WebSocket server listening on the chosen PORT. Once this log appears, you can open the URL in a browser and play.
 //NOTE: You have to make everything public to actually present the game, so make sure to do that any and everytime you go to play it!!!
-server.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+if (require.main === module) {
+  startServer().catch(err => {
+    console.error('Could not start:', err.message);
+    process.exit(1);
+  });
+  //Store writes wait a moment (see saveStore), so one that's still pending goes out before we stop
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => stopAndExit(0)));
+}
\ No newline at end of file
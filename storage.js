@@ -0,0 +1,171 @@
+//Shared storage for running more than one server process (see _Scaling_ in server.js)
+//server.js only ever talks to the small async interface below, so it doesn't care where the data actually lives:
+//- createMemoryStorage(): plain objects inside this one process. The default, and all a single server needs
+//- createRedisStorage(url): the same thing on a Redis server, or anything else that speaks its protocol (like
+//  redis-stand-in.js, which is what you want for trying multiple processes locally)
+//Values are JSON-encoded on the way in and parsed on the way out in both versions, so they behave the same way
+//
+//The interface (everything returns a Promise):
+//- get(key) -> value | null, set(key, value), del(key)
+//- getHash(key) -> { field: value }, replaceHash(key, { field: value }) (all-or-nothing)
+//- updateHash(key, { field: value }, [field]): sets the given fields and deletes the listed ones, leaving the rest of
+//  the hash alone (all-or-nothing)
+//- getList(key) -> [value], replaceList(key, [value]) (all-or-nothing)
+//- acquireLease(name, owner, ttlMs) -> true if `owner` holds the lease now. Takes it if nobody does, renews it if
+//  `owner` already does, and otherwise leaves it alone
+//- publish(channel, message), subscribe(channel, handler(message))
+//- close()
+
+const { EventEmitter } = require('events');
+
+//createMemoryStorage:
+//- Everything in local objects. Pub/sub messages are delivered on a later tick (in order), like they would be from Redis
+function createMemoryStorage() {
+  const values = {}; //key -> JSON string, { field: JSON string } for hashes, [JSON string] for lists
+  const leases = {}; //name -> { owner, expiresAt }
+  const channels = new EventEmitter();
+  channels.setMaxListeners(0);
+
+  const encodeAll = obj => Object.fromEntries(Object.entries(obj).map(([field, value]) => [field, JSON.stringify(value)]));
+  const decodeAll = obj => Object.fromEntries(Object.entries(obj || {}).map(([field, value]) => [field, JSON.parse(value)]));
+
+  return {
+    async get(key) {
+      return values[key] == null ? null : JSON.parse(values[key]);
+    },
+    async set(key, value) {
+      values[key] = JSON.stringify(value);
+    },
+    async del(key) {
+      delete values[key];
+    },
+    async getHash(key) {
+      return decodeAll(values[key]);
+    },
+    async replaceHash(key, obj) {
+      values[key] = encodeAll(obj);
+    },
+    async updateHash(key, changed, removed = []) {
+      const hash = Object.assign(values[key] || {}, encodeAll(changed));
+      removed.forEach(field => { delete hash[field]; });
+      values[key] = hash;
+    },
+    async getList(key) {
+      return (values[key] || []).map(value => JSON.parse(value));
+    },
+    async replaceList(key, list) {
+      values[key] = list.map(value => JSON.stringify(value));
+    },
+    async acquireLease(name, owner, ttlMs) {
+      const now = Date.now();
+      const lease = leases[name];
+      if (lease && lease.expiresAt > now && lease.owner !== owner) return false;
+      leases[name] = { owner, expiresAt: now + ttlMs };
+      return true;
+    },
+    async publish(channel, message) {
+      const payload = JSON.stringify(message);
+      setImmediate(() => channels.emit(channel, JSON.parse(payload)));
+    },
+    async subscribe(channel, handler) {
+      channels.on(channel, handler);
+    },
+    async close() {
+      channels.removeAllListeners();
+    }
+  };
+}
+
+//createRedisStorage:
+//- Same interface on a Redis server. Needs two connections because a Redis connection that subscribes to anything
+//  can't run normal commands any more
+//- acquireLease is SET NX, or a GET + PEXPIRE when we already hold it. Between those two calls the lease could in theory
+//  run out and go to someone else; we renew well before it expires, so that would take a process stalled for seconds
+function createRedisStorage(url) {
+  //Only loaded when someone actually asks for Redis, so a single server doesn't need it at all (it's an
+  //optionalDependency, and installs that skip those won't have it)
+  let redis;
+  try {
+    redis = require('redis');
+  } catch (err) {
+    if (err.code !== 'MODULE_NOT_FOUND') throw err;
+    throw new Error('Redis storage needs the optional redis package, which is not installed (npm install redis)');
+  }
+  const client = redis.createClient(url);
+  const subscriber = client.duplicate();
+  const handlers = {};
+
+  client.on('error', err => console.error('Redis error:', err.message));
+  subscriber.on('error', err => console.error('Redis subscriber error:', err.message));
+  subscriber.on('message', (channel, payload) => {
+    const message = JSON.parse(payload);
+    (handlers[channel] || []).forEach(handler => handler(message));
+  });
+
+  //call: runs one Redis command as a promise
+  const call = (command, ...args) => new Promise((resolve, reject) => {
+    client[command](...args, (err, reply) => (err ? reject(err) : resolve(reply)));
+  });
+
+  //replace: deletes the key and writes its new contents in one MULTI, so readers never see it half-written
+  const replace = (key, command, args) => new Promise((resolve, reject) => {
+    const multi = client.multi().del(key);
+    if (args.length) multi[command](key, ...args);
+    multi.exec(err => (err ? reject(err) : resolve()));
+  });
+
+  return {
+    async get(key) {
+      const value = await call('get', key);
+      return value == null ? null : JSON.parse(value);
+    },
+    async set(key, value) {
+      await call('set', key, JSON.stringify(value));
+    },
+    async del(key) {
+      await call('del', key);
+    },
+    async getHash(key) {
+      const raw = (await call('hgetall', key)) || {};
+      return Object.fromEntries(Object.entries(raw).map(([field, value]) => [field, JSON.parse(value)]));
+    },
+    async replaceHash(key, obj) {
+      const args = [];
+      Object.entries(obj).forEach(([field, value]) => args.push(field, JSON.stringify(value)));
+      await replace(key, 'hset', args);
+    },
+    async updateHash(key, changed, removed = []) {
+      const args = [];
+      Object.entries(changed).forEach(([field, value]) => args.push(field, JSON.stringify(value)));
+      const multi = client.multi();
+      if (args.length) multi.hset(key, ...args);
+      if (removed.length) multi.hdel(key, ...removed);
+      await new Promise((resolve, reject) => multi.exec(err => (err ? reject(err) : resolve())));
+    },
+    async getList(key) {
+      return (await call('lrange', key, 0, -1)).map(value => JSON.parse(value));
+    },
+    async replaceList(key, list) {
+      await replace(key, 'rpush', list.map(value => JSON.stringify(value)));
+    },
+    async acquireLease(name, owner, ttlMs) {
+      if (await call('set', name, owner, 'PX', ttlMs, 'NX')) return true;
+      if ((await call('get', name)) !== owner) return false;
+      await call('pexpire', name, ttlMs);
+      return true;
+    },
+    async publish(channel, message) {
+      await call('publish', channel, JSON.stringify(message));
+    },
+    async subscribe(channel, handler) {
+      (handlers[channel] = handlers[channel] || []).push(handler);
+      await new Promise((resolve, reject) => subscriber.subscribe(channel, err => (err ? reject(err) : resolve())));
+    },
+    async close() {
+      client.quit();
+      subscriber.quit();
+    }
+  };
+}
+
+module.exports = { createMemoryStorage, createRedisStorage };
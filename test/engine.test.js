@@ -0,0 +1,170 @@
+//The game rules on their own (engine.js): no server, no sockets
+
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../engine');
+const { createTestClock } = require('./helpers');
+
+const matchWith = (moves, ruleset = engine.buildRuleset()) => ({
+  players: ['a', 'b'],
+  moves: { a: moves[0], b: moves[1] },
+  ruleset
+});
+
+test('rpsWinner follows the classic beats graph', () => {
+  assert.strictEqual(engine.rpsWinner('rock', 'scissors'), 'A');
+  assert.strictEqual(engine.rpsWinner('rock', 'paper'), 'B');
+  assert.strictEqual(engine.rpsWinner('paper', 'paper'), 'tie');
+  //Moves from another ruleset mean nothing in classic
+  assert.strictEqual(engine.rpsWinner('lizard', 'rock'), 'tie');
+});
+
+test('rpsWinner uses the ruleset it is given', () => {
+  const rpsls = engine.buildRuleset({ id: 'rpsls' });
+  assert.strictEqual(engine.rpsWinner('lizard', 'spock', rpsls), 'A');
+  assert.strictEqual(engine.rpsWinner('spock', 'rock', rpsls), 'A');
+  assert.strictEqual(engine.rpsWinner('rock', 'lizard', rpsls), 'A');
+  assert.strictEqual(engine.rpsWinner('paper', 'lizard', rpsls), 'B');
+});
+
+test('buildRuleset validates what clients ask for', () => {
+  const fallback = engine.buildRuleset({ id: 'nope', bestOf: 4, roundSeconds: 7 });
+  assert.strictEqual(fallback.id, 'classic');
+  assert.strictEqual(fallback.bestOf, 5);
+  assert.strictEqual(fallback.winsToTakeMatch, 3);
+  assert.strictEqual(fallback.roundTimeMs, 30000);
+
+  const custom = engine.buildRuleset({ id: 'rpsls', bestOf: 7, roundSeconds: 10, commitReveal: true });
+  assert.strictEqual(custom.winsToTakeMatch, 4);
+  assert.strictEqual(custom.roundTimeMs, 10000);
+  assert.strictEqual(custom.key, 'rpsls:bo7:10s:cr');
+
+  //Matchmaking compares keys, so equal requests have to give equal keys
+  assert.strictEqual(engine.buildRuleset({ bestOf: '3' }).key, engine.buildRuleset({ bestOf: 3 }).key);
+});
+
+test('roundWinner scores moves, timeouts, forfeits and empty rounds', () => {
+  assert.strictEqual(engine.roundWinner(matchWith(['rock', 'scissors']), 'moves'), 'a');
+  assert.strictEqual(engine.roundWinner(matchWith(['rock', 'rock']), 'moves'), null);
+  assert.strictEqual(engine.roundWinner(matchWith([null, 'paper']), 'timeout'), 'b');
+  assert.strictEqual(engine.roundWinner(matchWith([null, null]), 'idle'), null);
+  assert.strictEqual(engine.roundWinner(matchWith(['rock', null]), 'forfeit', 'a'), 'b');
+  assert.strictEqual(engine.roundWinner(matchWith([null, null]), 'disconnect', null, id => id !== 'b'), 'a');
+});
+
+test('hashCommitment is tied to the match and round', () => {
+  const hash = engine.hashCommitment('m1', 1, 'rock', 'salt');
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.strictEqual(hash, engine.hashCommitment('m1', 1, 'rock', 'salt'));
+  assert.notStrictEqual(hash, engine.hashCommitment('m1', 2, 'rock', 'salt'));
+});
+
+test('ratingDeltas is zero-sum for equal ratings and rewards upsets', () => {
+  assert.deepStrictEqual(engine.ratingDeltas(1200, 1200, 1), [16, -16]);
+  const [upsetGain] = engine.ratingDeltas(1000, 1400, 1);
+  const [expectedGain] = engine.ratingDeltas(1400, 1000, 1);
+  assert.ok(upsetGain > 16 && expectedGain < 16);
+});
+
+test('move stats count throws, results, follow-ups and response times', () => {
+  const rounds = [
+    { moves: ['rock', 'scissors'], winnerSeat: 0, reason: 'moves', responseMs: [1000, 3000] },
+    { moves: ['rock', 'rock'], winnerSeat: null, reason: 'moves', responseMs: [2000, 500] },
+    { moves: ['paper', null], winnerSeat: 0, reason: 'timeout', responseMs: [3000, null] }
+  ];
+  const stats = engine.emptyMoveStats();
+  rounds.forEach((round, i) => engine.addRoundToMoveStats(stats, round, rounds[i - 1] || null, 0));
+
+  assert.deepStrictEqual(stats.moves.rock, { thrown: 2, win: 1, loss: 0, tie: 1 });
+  //A timeout win says nothing about paper, so it's thrown but not scored
+  assert.deepStrictEqual(stats.moves.paper, { thrown: 1, win: 0, loss: 0, tie: 0 });
+  assert.deepStrictEqual(stats.after, { win: { rock: 1 }, loss: {}, tie: { paper: 1 } });
+
+  const summary = engine.summarizeMoveStats(stats);
+  assert.strictEqual(summary.rounds, 3);
+  assert.strictEqual(summary.moves.rock.share, 0.667);
+  assert.strictEqual(summary.moves.rock.winRate, 0.5);
+  assert.strictEqual(summary.moves.paper.winRate, null);
+  assert.deepStrictEqual(summary.after.tie, { total: 1, moves: { paper: { count: 1, share: 1 } } });
+  assert.strictEqual(summary.avgResponseMs, 2000);
+});
+
+test('free-for-all rounds score a point per opponent beaten, and not moving loses to everyone', () => {
+  const match = {
+    players: ['a', 'b', 'c', 'd'],
+    moves: { a: 'rock', b: 'scissors', c: 'scissors', d: null },
+    ruleset: engine.buildRuleset({ mode: 'ffa', playerCount: 4 }),
+    out: {}
+  };
+  assert.deepStrictEqual(engine.scorePartyRound(match), { points: { a: 3, b: 1, c: 1, d: 0 }, winners: ['a'] });
+
+  //Whoever left is skipped entirely
+  match.out.a = 'forfeit';
+  assert.deepStrictEqual(engine.scorePartyRound(match), { points: { a: 0, b: 1, c: 1, d: 0 }, winners: ['b', 'c'] });
+});
+
+test('team rounds pool both teammates against the other side', () => {
+  const match = {
+    players: ['a', 'b', 'c', 'd'],
+    teams: { a: 0, b: 1, c: 0, d: 1 },
+    moves: { a: 'rock', b: 'paper', c: 'scissors', d: 'scissors' },
+    ruleset: engine.buildRuleset({ mode: 'teams' }),
+    out: {},
+    scores: {},
+    round: 1
+  };
+  //Team 0 wins two match-ups (rock over scissors, scissors over paper), team 1 only one (paper over rock)
+  assert.deepStrictEqual(engine.scorePartyRound(match).winners, ['a', 'c']);
+  assert.strictEqual(engine.partyMatchWinner(match), null);
+
+  match.scores = { a: match.ruleset.winsToTakeMatch, c: match.ruleset.winsToTakeMatch };
+  assert.strictEqual(engine.partyMatchWinner(match), 'a');
+
+  //A team with nobody left loses outright
+  match.scores = {};
+  match.out = { a: 'forfeit', c: 'disconnect' };
+  assert.strictEqual(engine.partyMatchWinner(match), 'b');
+});
+
+test('buildBracket seeds single elimination with byes', () => {
+  assert.deepStrictEqual(engine.seedPositions(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+  const tournament = {
+    format: 'single',
+    entrants: ['p1', 'p2', 'p3'].map((profileId, i) => ({ profileId, seed: i + 1 }))
+  };
+  const bracket = engine.buildBracket(tournament);
+  assert.deepStrictEqual(Object.keys(bracket).sort(), ['W1-0', 'W1-1', 'W2-0']);
+  assert.strictEqual(tournament.finalId, 'W2-0');
+  //Seed 1 gets the bye
+  assert.deepStrictEqual(bracket['W1-0'].slots.map(s => s.value), ['p1', null]);
+  assert.deepStrictEqual(bracket['W2-0'].slots[0].source, { from: 'W1-0', take: 'winner' });
+});
+
+test('buildBracket adds a losers bracket and grand final for double elimination', () => {
+  const tournament = {
+    format: 'double',
+    entrants: ['p1', 'p2', 'p3', 'p4'].map((profileId, i) => ({ profileId, seed: i + 1 }))
+  };
+  const bracket = engine.buildBracket(tournament);
+  assert.deepStrictEqual(Object.keys(bracket).sort(), ['GF', 'L1-0', 'L2-0', 'W1-0', 'W1-1', 'W2-0']);
+  assert.strictEqual(tournament.finalId, 'GF');
+  assert.deepStrictEqual(bracket['L2-0'].slots[1].source, { from: 'W2-0', take: 'loser' });
+});
+
+test('the test clock only fires timers when advanced, in order', () => {
+  const clock = createTestClock(1000);
+  const fired = [];
+  clock.setTimeout(() => fired.push('late'), 500);
+  clock.setTimeout(() => {
+    fired.push('early');
+    clock.setTimeout(() => fired.push('chained'), 100);
+  }, 200);
+  const cancelled = clock.setTimeout(() => fired.push('cancelled'), 100);
+  clock.clearTimeout(cancelled);
+
+  clock.advance(199);
+  assert.deepStrictEqual(fired, []);
+  clock.advance(400);
+  assert.deepStrictEqual(fired, ['early', 'chained', 'late']);
+  assert.strictEqual(clock.now(), 1599);
+});
@@ -0,0 +1,130 @@
+//Shared bits for the tests
+//- createTestClock: a clock (see _Clock_ in engine.js) that only moves when the test says so
+//- startTestServer: boots server.js on a free port with a fresh data folder and a test clock
+//- connectPlayer / nextEvent / noEvent: socket.io-client helpers for driving it like a browser would
+//
+//server.js keeps its game state at the module level, so there's one server per test file (node --test runs every file
+//in a process of its own). Tests inside a file share it, so each one makes its own players and closes them at the end
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ioClient = require('socket.io-client');
+
+//How long nextEvent waits for something that should arrive straight away. Only real network time, never game time
+const EVENT_WAIT_MS = 2000;
+
+//createTestClock:
+//- Starts at `start` and stands still until advance(ms), which fires every timer that comes due along the way, in
+//  order, with now() set to the time each one was due. Timers that set other timers (a round ending and the next one
+//  starting) work the same way
+function createTestClock(start = Date.now()) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); //id -> { at, fn, every }
+
+  const add = (fn, ms, every) => {
+    const id = nextId++;
+    timers.set(id, { at: now + Math.max(0, Number(ms) || 0), fn, every });
+    return id;
+  };
+
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => add(fn, ms, null),
+    clearTimeout: id => { timers.delete(id); },
+    setInterval: (fn, ms) => add(fn, ms, Math.max(1, Number(ms) || 0)),
+    clearInterval: id => { timers.delete(id); },
+    advance(ms) {
+      const target = now + ms;
+      for (;;) {
+        let dueId = null;
+        timers.forEach((timer, id) => {
+          if (timer.at <= target && (dueId === null || timer.at < timers.get(dueId).at)) dueId = id;
+        });
+        if (dueId === null) break;
+        const timer = timers.get(dueId);
+        now = timer.at;
+        if (timer.every) timer.at += timer.every;
+        else timers.delete(dueId);
+        timer.fn();
+      }
+      now = target;
+    }
+  };
+}
+
+//startTestServer:
+//- `env` is applied before server.js is loaded, since that's where it reads its settings
+//- Resolves with { port, clock, stop }
+function startTestServer(env = {}) {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rps-test-'));
+  Object.assign(process.env, env);
+  const { startServer, stopServer } = require('../server');
+  const clock = createTestClock();
+  return startServer({ port: 0, clock }).then(port => ({ port, clock, stop: stopServer }));
+}
+
+//nextEvent:
+//- Resolves with the payload of the next `event` that passes `test`. Rejects if it doesn't show up in EVENT_WAIT_MS
+//- Set it up before doing whatever causes the event, or it can go by before we're listening
+function nextEvent(socket, event, test = () => true) {
+  return new Promise((resolve, reject) => {
+    const handler = data => {
+      if (!test(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    };
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`No '${event}' for ${socket.playerName} within ${EVENT_WAIT_MS}ms`));
+    }, EVENT_WAIT_MS);
+    socket.on(event, handler);
+  });
+}
+
+//noEvent:
+//- Resolves with true if `event` did NOT arrive within `ms` (real time), false if it did
+//- `then` runs once we're listening, for sending whatever shouldn't cause it
+function noEvent(socket, event, ms = 100, then = () => {}) {
+  return new Promise(resolve => {
+    const handler = () => {
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      resolve(true);
+    }, ms);
+    socket.on(event, handler);
+    then();
+  });
+}
+
+//connectPlayer:
+//- Connects and joins the lobby as `name` (reusing a profile if `token` is given). Resolves once accountInfo is back,
+//  with the socket; socket.account is that accountInfo
+//- No reconnection: a test that drops a socket wants it to stay dropped
+function connectPlayer(port, name, token) {
+  const socket = ioClient(`http://localhost:${port}`, { forceNew: true, transports: ['websocket'], reconnection: false });
+  socket.playerName = name;
+  const joined = nextEvent(socket, 'accountInfo');
+  socket.on('connect', () => socket.emit('joinLobby', { name, token }));
+  return joined.then(account => {
+    socket.account = account;
+    return socket;
+  });
+}
+
+//startMatch:
+//- Queues two players for the same ruleset (no bots) and resolves with both match_start payloads once they're paired
+function startMatch(a, b, ruleset = {}) {
+  const started = Promise.all([nextEvent(a, 'match_start'), nextEvent(b, 'match_start')]);
+  a.emit('setQueueStatus', { inQueue: true, ruleset, allowBots: false });
+  b.emit('setQueueStatus', { inQueue: true, ruleset, allowBots: false });
+  return started;
+}
+
+module.exports = { createTestClock, startTestServer, nextEvent, noEvent, connectPlayer, startMatch };
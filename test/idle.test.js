@@ -0,0 +1,38 @@
+//Matches where nobody moves (see IDLE_POLICY in server.js), with the default 'abort' policy after two empty rounds
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, connectPlayer, nextEvent, startMatch } = require('./helpers');
+
+let server;
+
+test.before(() => startTestServer({ IDLE_ROUND_LIMIT: '2', BOT_BACKFILL_MS: '0' }).then(started => { server = started; }));
+test.after(() => server.stop());
+
+test('empty rounds get a fresh clock, then the match is aborted with no winner', async () => {
+  const [a, b] = await Promise.all([connectPlayer(server.port, 'Uma'), connectPlayer(server.port, 'Vic')]);
+  const [{ matchId }] = await startMatch(a, b, { bestOf: 3, roundSeconds: 10 });
+
+  const reset = nextEvent(a, 'turnUpdate');
+  server.clock.advance(10000);
+  const update = await reset;
+  assert.strictEqual(update.round, 1);
+  assert.strictEqual(update.expiresAt, server.clock.now() + 10000);
+
+  //Two rounds is longer than the heartbeat timeout, so check in (the chat line tells us the heartbeats got there)
+  const synced = nextEvent(b, 'chatMessage');
+  a.emit('heartbeat');
+  b.emit('heartbeat');
+  a.emit('chatMessage', { matchId, channel: 'match', text: 'anyone there?' });
+  await synced;
+
+  const ended = nextEvent(b, 'game_end');
+  server.clock.advance(10000);
+  const end = await ended;
+  assert.strictEqual(end.reason, 'idle');
+  assert.strictEqual(end.winnerId, null);
+  assert.deepStrictEqual(end.ratingChanges, {});
+
+  a.close();
+  b.close();
+});
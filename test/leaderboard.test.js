@@ -0,0 +1,41 @@
+//The daily and weekly boards, on a server that only keeps one match of history (MATCH_HISTORY_LIMIT in server.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startTestServer, connectPlayer, nextEvent, startMatch } = require('./helpers');
+
+let server;
+
+test.before(() => startTestServer({ MATCH_HISTORY_LIMIT: '1', BOT_BACKFILL_MS: '0' }).then(started => { server = started; }));
+test.after(() => server.stop());
+
+function getJson(pathname) {
+  return new Promise((resolve, reject) => {
+    http.get(`http://localhost:${server.port}${pathname}`, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(JSON.parse(body)));
+    }).on('error', reject);
+  });
+}
+
+test('period boards keep counting matches that have fallen out of the history', async () => {
+  const [a, b] = await Promise.all([connectPlayer(server.port, 'Wes'), connectPlayer(server.port, 'Xia')]);
+  for (let game = 0; game < 2; game++) {
+    const [{ matchId }] = await startMatch(a, b, { bestOf: 1, roundSeconds: 10 });
+    const ended = nextEvent(b, 'game_end');
+    a.emit('playerMove', { matchId, move: 'paper' });
+    b.emit('playerMove', { matchId, move: 'rock' });
+    await ended;
+  }
+
+  assert.strictEqual((await getJson(`/api/players/${a.account.profileId}/matches`)).matches.length, 1);
+  for (const period of ['weekly', 'daily']) {
+    const { boards } = await getJson(`/api/leaderboard?period=${period}&board=streak`);
+    assert.deepStrictEqual(boards.streak.map(row => [row.profileId, row.value, row.games]), [[a.account.profileId, 2, 2]]);
+  }
+
+  a.close();
+  b.close();
+});
@@ -0,0 +1,659 @@
+//The socket protocol, end to end: a real server on a free port, real socket.io clients, and a test clock so round
+//timers and heartbeats can be run out on demand
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startTestServer, connectPlayer, nextEvent, noEvent, startMatch } = require('./helpers');
+
+//Short reconnect window so a dropped player's seat runs out before anyone else's heartbeat does, and no bots
+const ENV = { RECONNECT_GRACE_MS: '5000', BOT_BACKFILL_MS: '0', ADMIN_PASSWORD: 'secret' };
+const QUICK = { bestOf: 1, roundSeconds: 10 };
+
+let server;
+let sockets = [];
+
+//player: connects someone for this test; they're all closed again afterwards
+function player(name, token) {
+  return connectPlayer(server.port, name, token).then(socket => {
+    sockets.push(socket);
+    return socket;
+  });
+}
+
+function getJson(pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(`http://localhost:${server.port}${pathname}`, { headers }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+}
+
+//postAdmin: an admin API call with the right basic auth, sent as `contentType`
+function postAdmin(pathname, body, contentType = 'application/json') {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`http://localhost:${server.port}/admin/api/${pathname}`, {
+      method: 'POST',
+      auth: 'admin:secret',
+      headers: { 'Content-Type': contentType }
+    }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test.before(() => startTestServer(ENV).then(started => { server = started; }));
+test.after(() => server.stop());
+test.afterEach(() => {
+  sockets.forEach(socket => socket.close());
+  sockets = [];
+  //Let the server see them go before the next test queues anyone
+  return new Promise(resolve => setTimeout(resolve, 50));
+});
+
+test('two queued players are paired into a match', async () => {
+  const [a, b] = await Promise.all([player('Ada'), player('Bea')]);
+  const turn = nextEvent(a, 'turnUpdate');
+  const [startA, startB] = await startMatch(a, b, QUICK);
+
+  assert.strictEqual(startA.matchId, startB.matchId);
+  assert.deepStrictEqual(startA.players.map(p => p.name).sort(), ['Ada', 'Bea']);
+  assert.strictEqual(startA.ruleset.bestOf, 1);
+  const update = await turn;
+  assert.strictEqual(update.expiresAt, server.clock.now() + 10000);
+});
+
+test('signing in again with the same token signs the older socket out, so nobody can queue against themselves', async () => {
+  const first = await player('Kit');
+  const replaced = nextEvent(first, 'moderation');
+  const dropped = nextEvent(first, 'disconnect');
+  const second = await player('Kit', first.account.token);
+  assert.strictEqual((await replaced).action, 'replaced');
+  await dropped;
+  assert.strictEqual(second.account.profileId, first.account.profileId);
+
+  const queued = () => second.emit('setQueueStatus', { inQueue: true, ruleset: QUICK, allowBots: false });
+  assert.ok(await noEvent(second, 'match_start', 200, queued));
+});
+
+test('a second tab takes over the first one\'s seat in a match', async () => {
+  const [a, b] = await Promise.all([player('Lux'), player('Moe')]);
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+  const again = await player('Lux', a.account.token);
+  assert.strictEqual(again.account.resumedMatchId, matchId);
+});
+
+test('players with different rulesets are not paired', async () => {
+  const [a, b] = await Promise.all([player('Cal'), player('Dee')]);
+  a.emit('setQueueStatus', { inQueue: true, ruleset: { bestOf: 1 }, allowBots: false });
+  b.emit('setQueueStatus', { inQueue: true, ruleset: { bestOf: 3 }, allowBots: false });
+  assert.ok(await noEvent(a, 'match_start', 200));
+});
+
+test('the lobby goes out as numbered patches, with the whole thing on connect and on request', async () => {
+  const a = await player('Gus');
+  const patches = [];
+  a.on('lobbyPatch', patch => patches.push(patch));
+
+  //Hal shows up as Anonymous on connect, then gets a name with joinLobby
+  const joined = nextEvent(a, 'lobbyPatch', patch => patch.ops.some(op => op.op === 'playerUpdated' && op.player.name === 'Hal'));
+  const b = await player('Hal');
+  await joined;
+
+  const resynced = nextEvent(a, 'lobbyState');
+  a.emit('lobbyResync');
+  const full = await resynced;
+  assert.strictEqual(full.version, patches[patches.length - 1].version);
+  assert.ok(['Gus', 'Hal'].every(name => full.spectators.some(p => p.name === name)));
+
+  //Each patch is one version on from the last, and a match starting only sends what changed
+  const started = nextEvent(a, 'lobbyPatch', patch => patch.ops.some(op => op.op === 'matchAdded'));
+  const c = await player('Ivy');
+  await startMatch(b, c, QUICK);
+  const patch = await started;
+  assert.ok(patch.ops.some(op => op.op === 'playerLeft' && op.id === b.id));
+  assert.ok(!patch.ops.some(op => op.op === 'playerJoined' || op.op === 'playerUpdated'));
+  patches.forEach((p, i) => {
+    if (i > 0) assert.strictEqual(p.version, patches[i - 1].version + 1);
+  });
+});
+
+test('lobby patches only carry the leaderboard rows that changed', async () => {
+  const [watcher, a, b] = await Promise.all([player('Kai'), player('Lev'), player('Mei')]);
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+  const isLev = patch => patch.ops.some(op => op.op === 'leaderboardRanks' && a.account.profileId in op.ranks);
+
+  //The win changes the boards and Lev's own ranks
+  const won = nextEvent(watcher, 'lobbyPatch', isLev);
+  a.emit('playerMove', { matchId, move: 'rock' });
+  b.emit('playerMove', { matchId, move: 'scissors' });
+  assert.ok((await won).ops.some(op => op.op === 'leaderboardBoard' && op.period === 'all' && op.board === 'wins'));
+
+  //Lev leaving takes his own row out and nothing else; coming back puts just that row back
+  const left = nextEvent(watcher, 'lobbyPatch', isLev);
+  a.close();
+  const leftOps = (await left).ops;
+  assert.deepStrictEqual(leftOps.find(op => op.op === 'leaderboardRanks').ranks, { [a.account.profileId]: null });
+  assert.ok(!leftOps.some(op => op.op === 'leaderboard' || op.op === 'leaderboardBoard'));
+
+  const returned = nextEvent(watcher, 'lobbyPatch', isLev);
+  await player('Lev', a.account.token);
+  const ranks = (await returned).ops.find(op => op.op === 'leaderboardRanks').ranks;
+  assert.deepStrictEqual(Object.keys(ranks), [a.account.profileId]);
+  assert.strictEqual(ranks[a.account.profileId].all.wins.value, 1);
+});
+
+test('profile edits are checked, saved and re-broadcast in the lobby list', async () => {
+  const [a, b] = await Promise.all([player('Eli'), player('Fay')]);
+  const confirmed = nextEvent(a, 'profileUpdated');
+  const listed = nextEvent(b, 'lobbyPatch', patch => patch.ops.some(op => op.op === 'playerUpdated' && op.player.name === 'Elias'));
+  a.emit('updateProfile', { name: '  Elias  ', preferredColor: '#12ab34' });
+  assert.strictEqual((await confirmed).name, 'Elias');
+  const entry = (await listed).ops.find(op => op.op === 'playerUpdated').player;
+  assert.strictEqual(entry.preferredColor, '#12ab34');
+
+  //Blank names and anything that isn't #rrggbb never reach the handler
+  assert.ok(await noEvent(a, 'profileUpdated', 100, () => a.emit('updateProfile', { name: '   ' })));
+  assert.ok(await noEvent(a, 'profileUpdated', 100, () => a.emit('updateProfile', { preferredColor: 'red' })));
+
+  //The profile keeps the new name for next time
+  a.close();
+  const back = await player(undefined, a.account.token);
+  assert.strictEqual(back.account.name, 'Elias');
+});
+
+test('nobody can rename themselves to a name someone online already has', async () => {
+  const [a, b, c] = await Promise.all([player('Nia'), player('Oli'), player('Pax')]);
+  const refused = nextEvent(b, 'profileUpdated');
+  b.emit('updateProfile', { name: 'NIA' });
+  const answer = await refused;
+  assert.strictEqual(answer.error, 'name_taken');
+  assert.strictEqual(answer.name, 'Oli');
+
+  //So a whisper to Nia still reaches Nia
+  const heard = nextEvent(a, 'chatMessage', message => message.channel === 'whisper');
+  c.emit('chatMessage', { channel: 'lobby', text: '/w Nia hello' });
+  assert.strictEqual((await heard).text, 'hello');
+});
+
+test('payloads with fields the schema doesn\'t list are dropped, even ones every object inherits', async () => {
+  const a = await player('Gus');
+  assert.ok(await noEvent(a, 'privateRoomCreated', 100, () => a.emit('createPrivateRoom', { constructor: 1 })));
+  assert.ok(await noEvent(a, 'privateRoomCreated', 100, () => a.emit('createPrivateRoom', { toString: 1 })));
+  const created = nextEvent(a, 'privateRoomCreated');
+  a.emit('createPrivateRoom', {});
+  assert.ok((await created).code);
+});
+
+test('moves resolve the round and a best-of-1 match, with ratings moving', async () => {
+  const [a, b] = await Promise.all([player('Eve'), player('Fin')]);
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+
+  const result = nextEvent(b, 'round_result');
+  const ended = nextEvent(b, 'game_end');
+  a.emit('playerMove', { matchId, move: 'rock' });
+  b.emit('playerMove', { matchId, move: 'scissors' });
+
+  const round = await result;
+  assert.strictEqual(round.reason, 'moves');
+  assert.strictEqual(round.winnerId, a.id);
+  assert.deepStrictEqual(round.revealedMoves, { [a.id]: 'rock', [b.id]: 'scissors' });
+
+  const end = await ended;
+  assert.strictEqual(end.winnerId, a.id);
+  assert.strictEqual(end.reason, null);
+  assert.deepStrictEqual(end.ratingChanges[a.id], { rating: 1216, delta: 16 });
+
+  const history = await getJson(`/api/players/${a.account.profileId}/matches`);
+  assert.strictEqual(history.status, 200);
+  assert.strictEqual(history.body.matches[0].matchId, matchId);
+});
+
+test('private-room matches are only in the history of the people who played them', async () => {
+  const [a, b, c] = await Promise.all([player('Gil'), player('Hal'), player('Ida')]);
+  const created = nextEvent(a, 'privateRoomCreated');
+  a.emit('createPrivateRoom', { ruleset: QUICK });
+  const { code } = await created;
+  const started = nextEvent(a, 'match_start');
+  b.emit('joinPrivateRoom', { code });
+  const { matchId } = await started;
+
+  const ended = nextEvent(a, 'game_end');
+  a.emit('playerMove', { matchId, move: 'rock' });
+  b.emit('playerMove', { matchId, move: 'scissors' });
+  await ended;
+
+  const list = `/api/players/${a.account.profileId}/matches`;
+  assert.strictEqual((await getJson(list)).body.matches.length, 0);
+  assert.strictEqual((await getJson(list, { 'X-Player-Token': c.account.token })).body.matches.length, 0);
+  assert.strictEqual((await getJson(list, { 'X-Player-Token': b.account.token })).body.matches[0].matchId, matchId);
+
+  assert.strictEqual((await getJson(`/api/matches/${matchId}`)).status, 404);
+  assert.strictEqual((await getJson(`/api/matches/${matchId}`, { 'X-Player-Token': c.account.token })).status, 404);
+  assert.strictEqual((await getJson(`/api/matches/${matchId}`, { 'X-Player-Token': a.account.token })).status, 200);
+});
+
+test('finished rounds show up in the move stats', async () => {
+  const [a, b] = await Promise.all([player('Pia'), player('Quin')]);
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+  const before = (await getJson('/api/stats/moves')).body.stats;
+
+  const ended = nextEvent(a, 'game_end');
+  server.clock.advance(1500);
+  a.emit('playerMove', { matchId, move: 'paper' });
+  b.emit('playerMove', { matchId, move: 'rock' });
+  await ended;
+
+  const mine = await getJson(`/api/players/${a.account.profileId}/stats`);
+  assert.strictEqual(mine.status, 200);
+  assert.strictEqual(mine.body.stats.rounds, 1);
+  assert.deepStrictEqual(mine.body.stats.moves.paper, { thrown: 1, win: 1, loss: 0, tie: 0, share: 1, winRate: 1 });
+  assert.strictEqual(mine.body.stats.avgResponseMs, 1500);
+
+  const global = (await getJson('/api/stats/moves')).body.stats;
+  assert.strictEqual(global.rounds, before.rounds + 2);
+  assert.strictEqual((await getJson('/api/players/nobody/stats')).status, 404);
+});
+
+test('a tie starts another round', async () => {
+  const [a, b] = await Promise.all([player('Gus'), player('Hal')]);
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+
+  const result = nextEvent(a, 'round_result');
+  const nextTurn = nextEvent(a, 'turnUpdate', update => update.round === 2);
+  a.emit('playerMove', { matchId, move: 'paper' });
+  b.emit('playerMove', { matchId, move: 'paper' });
+
+  assert.strictEqual((await result).winnerId, null);
+  assert.strictEqual((await nextTurn).round, 2);
+});
+
+test('a round with one move times out exactly at the deadline', async () => {
+  const [a, b] = await Promise.all([player('Ivy'), player('Jo')]);
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+  //Moves aren't acknowledged, so a chat line sent right after one tells us when the server has it
+  const moved = nextEvent(b, 'chatMessage');
+  a.emit('playerMove', { matchId, move: 'rock' });
+  a.emit('chatMessage', { matchId, channel: 'match', text: 'locked in' });
+  await moved;
+
+  server.clock.advance(9999);
+  assert.ok(await noEvent(a, 'round_result'));
+
+  const result = nextEvent(a, 'round_result');
+  server.clock.advance(1);
+  const round = await result;
+  assert.strictEqual(round.reason, 'timeout');
+  assert.strictEqual(round.winnerId, a.id);
+});
+
+test('late moves count within the sender\'s latency allowance and are rejected after it', async () => {
+  const [a, b] = await Promise.all([player('Uri'), player('Val')]);
+  //Uri answers our ping 400ms later by the server's clock, so gets 200ms of slack. Val never answers and gets none, and
+  //can't just claim a round trip either
+  const ping = nextEvent(a, 'latencyPing');
+  server.clock.advance(1000);
+  const { pingId, timestamp: sentAt } = await ping;
+  server.clock.advance(sentAt + 400 - server.clock.now());
+  const synced = nextEvent(a, 'timeSyncReply');
+  a.emit('latencyPong', { pingId });
+  a.emit('timeSync', { clientTime: 1234 });
+  assert.deepStrictEqual(await synced, { timestamp: server.clock.now(), clientTime: 1234 });
+  assert.ok(await noEvent(b, 'timeSyncReply', 100, () => b.emit('timeSync', { clientTime: 1234, rttMs: 400 })));
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+
+  server.clock.advance(10100);
+  const rejected = nextEvent(b, 'moveRejected');
+  b.emit('playerMove', { matchId, move: 'paper', round: 1 });
+  assert.deepStrictEqual(await rejected, {
+    timestamp: server.clock.now(), matchId, round: 1, reason: 'too_late', lateByMs: 100
+  });
+
+  //The round clock waits out Uri's allowance too, so Uri's move still makes it into round 1
+  const moved = nextEvent(b, 'moveLocked');
+  a.emit('playerMove', { matchId, move: 'rock', round: 1 });
+  await moved;
+  const result = nextEvent(b, 'round_result');
+  server.clock.advance(100);
+  const round = await result;
+  assert.strictEqual(round.reason, 'timeout');
+  assert.strictEqual(round.winnerId, a.id);
+});
+
+test('leaving a match forfeits it to the opponent', async () => {
+  const [a, b] = await Promise.all([player('Kit'), player('Lou')]);
+  await startMatch(a, b, { bestOf: 5 });
+
+  const result = nextEvent(b, 'round_result');
+  const ended = nextEvent(b, 'game_end');
+  a.emit('leaveMatch');
+
+  assert.strictEqual((await result).reason, 'forfeit');
+  assert.strictEqual((await ended).winnerId, b.id);
+});
+
+test('a free-for-all plays on after someone leaves and scores a point per opponent beaten', async () => {
+  const trio = await Promise.all([player('Rae'), player('Sol'), player('Tam')]);
+  const [a, b, c] = trio;
+  const ruleset = Object.assign({ mode: 'ffa', playerCount: 3 }, QUICK);
+  const started = Promise.all(trio.map(s => nextEvent(s, 'match_start')));
+  trio.forEach(s => s.emit('setQueueStatus', { inQueue: true, ruleset, allowBots: false }));
+  const [{ matchId, players }] = await started;
+  assert.strictEqual(players.length, 3);
+
+  const out = nextEvent(a, 'playerOut');
+  c.emit('leaveMatch');
+  assert.strictEqual((await out).playerId, c.id);
+
+  const result = nextEvent(a, 'round_result');
+  const ended = nextEvent(a, 'game_end');
+  a.emit('playerMove', { matchId, move: 'rock' });
+  b.emit('playerMove', { matchId, move: 'scissors' });
+
+  const round = await result;
+  assert.deepStrictEqual(round.winnerIds, [a.id]);
+  assert.deepStrictEqual(round.points, { [a.id]: 1, [b.id]: 0, [c.id]: 0 });
+  const end = await ended;
+  assert.deepStrictEqual(end.winnerIds, [a.id]);
+  //Ratings are for one-on-one matches only
+  assert.deepStrictEqual(end.ratingChanges, {});
+});
+
+test('both players saying yes to a rematch starts the next game of the series', async () => {
+  const [a, b] = await Promise.all([player('Mo'), player('Ned')]);
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+
+  const offered = Promise.all([nextEvent(a, 'rematchOffer'), nextEvent(b, 'rematchOffer')]);
+  a.emit('playerMove', { matchId, move: 'rock' });
+  b.emit('playerMove', { matchId, move: 'scissors' });
+  const [offer, offerB] = await offered;
+  assert.strictEqual(offer.offerId, offerB.offerId);
+  assert.strictEqual(offer.expiresAt, server.clock.now() + 20000);
+  const seatA = offer.players.findIndex(p => p.id === a.id);
+  assert.strictEqual(offer.series.games, 1);
+  assert.strictEqual(offer.series.wins[seatA], 1);
+  assert.strictEqual(offer.series.wins[1 - seatA], 0);
+
+  //The first yes just lets the other side know
+  const update = nextEvent(b, 'rematchUpdate');
+  a.emit('respondRematch', { offerId: offer.offerId, accept: true });
+  assert.deepStrictEqual((await update).accepted, [a.id]);
+
+  //Ned says yes with the old one-button requestRematch, which doesn't need a payload. No time passes, so the rematch
+  //starts in the same millisecond the first game ended and still needs an id of its own
+  const started = Promise.all([nextEvent(a, 'match_start'), nextEvent(b, 'match_start')]);
+  b.emit('requestRematch');
+  const [rematch] = await started;
+  assert.notStrictEqual(rematch.matchId, matchId);
+  assert.strictEqual((await getJson(`/api/matches/${matchId}`)).body.matchId, matchId);
+  assert.deepStrictEqual(rematch.series, offer.series);
+  assert.strictEqual(rematch.ruleset.key, offer.ruleset.key);
+
+  //Nobody answers the next offer, so it runs out and they're on their own again
+  const nextOffer = nextEvent(a, 'rematchOffer');
+  a.emit('playerMove', { matchId: rematch.matchId, move: 'rock' });
+  b.emit('playerMove', { matchId: rematch.matchId, move: 'paper' });
+  const second = await nextOffer;
+  assert.strictEqual(second.series.games, 2);
+  assert.deepStrictEqual(second.series.wins, [1, 1]);
+
+  //That's longer than the heartbeat timeout, so check in halfway (the chat line tells us the heartbeats got there)
+  server.clock.advance(10000);
+  const synced = nextEvent(b, 'chatMessage');
+  a.emit('heartbeat');
+  b.emit('heartbeat');
+  a.emit('chatMessage', { channel: 'lobby', text: 'one more?' });
+  await synced;
+
+  const closed = nextEvent(b, 'rematchClosed');
+  server.clock.advance(10000);
+  assert.ok(await noEvent(a, 'match_start'));
+  assert.strictEqual((await closed).reason, 'expired');
+});
+
+test('spectators get a snapshot and then the live rounds', async () => {
+  const [a, b, watcher] = await Promise.all([player('Max'), player('Ned'), player('Oz')]);
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+
+  const snapshot = nextEvent(watcher, 'match_snapshot');
+  watcher.emit('spectateMatch', { matchId });
+  const snap = await snapshot;
+  assert.strictEqual(snap.matchId, matchId);
+  assert.deepStrictEqual(snap.players.map(p => p.name).sort(), ['Max', 'Ned']);
+
+  const seen = nextEvent(watcher, 'round_result');
+  a.emit('playerMove', { matchId, move: 'paper' });
+  b.emit('playerMove', { matchId, move: 'rock' });
+  assert.strictEqual((await seen).winnerId, a.id);
+});
+
+test('spectators see lock-ins, vote on the round and are counted', async () => {
+  const [a, b, watcher, lobby] = await Promise.all([player('Ula'), player('Val'), player('Wes'), player('Xia')]);
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+
+  const counted = nextEvent(a, 'spectatorCount');
+  const listed = nextEvent(lobby, 'lobbyPatch', patch => patch.ops.some(op =>
+    op.op === 'matchUpdated' && op.match.matchId === matchId && op.match.spectatorCount === 1));
+  watcher.emit('spectateMatch', { matchId });
+  assert.strictEqual((await counted).count, 1);
+  await listed;
+
+  //Players can't vote on their own match
+  assert.ok(await noEvent(a, 'predictionRecorded', 100, () => a.emit('predictRound', { matchId, pick: a.id })));
+
+  const recorded = nextEvent(watcher, 'predictionRecorded');
+  watcher.emit('predictRound', { matchId, pick: b.id });
+  assert.strictEqual((await recorded).pick, b.id);
+
+  const locked = nextEvent(watcher, 'moveLocked');
+  a.emit('playerMove', { matchId, move: 'rock' });
+  const lock = await locked;
+  assert.strictEqual(lock.playerId, a.id);
+  assert.strictEqual(lock.move, undefined);
+
+  const result = nextEvent(watcher, 'round_result');
+  b.emit('playerMove', { matchId, move: 'paper' });
+  const { predictions } = await result;
+  assert.deepStrictEqual(predictions, { votes: { tie: 0, [a.id]: 0, [b.id]: 1 }, total: 1, correct: 1 });
+});
+
+test('a dropped player can reconnect into their held seat', async () => {
+  const [a, b] = await Promise.all([player('Pia'), player('Quin')]);
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+
+  const paused = nextEvent(b, 'match_paused');
+  a.close();
+  assert.strictEqual((await paused).playerName, 'Pia');
+
+  const resumed = nextEvent(b, 'match_resumed');
+  const back = await player('Pia', a.account.token);
+  assert.strictEqual(back.account.resumedMatchId, matchId);
+  assert.strictEqual((await resumed).rejoinedId, back.id);
+});
+
+test('a dropped player who was watching another match stops seeing it once back in their seat', async () => {
+  const [a, b, c, d] = await Promise.all([player('Ari'), player('Bo'), player('Cy'), player('Di')]);
+  const [{ matchId: watchedId }] = await startMatch(c, d, QUICK);
+  const [{ matchId }] = await startMatch(a, b, QUICK);
+  const paused = nextEvent(b, 'match_paused');
+  a.close();
+  await paused;
+
+  //Back without the token at first, watching Cy and Di, then claiming the profile (and the held seat) on that socket
+  const back = await player('Ari');
+  const snapshot = nextEvent(back, 'match_snapshot');
+  back.emit('spectateMatch', { matchId: watchedId });
+  await snapshot;
+  const resumed = nextEvent(back, 'accountInfo');
+  back.emit('joinLobby', { name: 'Ari', token: a.account.token });
+  assert.strictEqual((await resumed).resumedMatchId, matchId);
+
+  const watchedRound = nextEvent(c, 'round_result');
+  assert.ok(await noEvent(back, 'round_result', 200, () => {
+    c.emit('playerMove', { matchId: watchedId, move: 'rock' });
+    d.emit('playerMove', { matchId: watchedId, move: 'paper' });
+  }));
+  await watchedRound;
+});
+
+test('a seat held across a round boundary gets the new round\'s full clock', async () => {
+  const [a, b] = await Promise.all([player('Tia'), player('Uma')]);
+  const [{ matchId }] = await startMatch(a, b, { bestOf: 3, roundSeconds: 10 });
+  const moved = nextEvent(b, 'chatMessage');
+  a.emit('playerMove', { matchId, move: 'rock' });
+  a.emit('chatMessage', { matchId, channel: 'match', text: 'locked in' });
+  await moved;
+  server.clock.advance(6000);
+
+  const paused = nextEvent(b, 'match_paused');
+  a.close();
+  assert.strictEqual((await paused).remainingMs, 4000);
+
+  //Round 1 still resolves on the moves, and round 2 starts frozen at its full 10s rather than round 1's last 4s
+  const frozen = nextEvent(b, 'turnUpdate', update => update.round === 2);
+  b.emit('playerMove', { matchId, move: 'paper' });
+  const update = await frozen;
+  assert.strictEqual(update.paused, true);
+  assert.strictEqual(update.expiresAt, server.clock.now() + 10000);
+
+  const running = nextEvent(b, 'turnUpdate', update => !update.paused);
+  await player('Tia', a.account.token);
+  assert.strictEqual((await running).expiresAt, server.clock.now() + 10000);
+  server.clock.advance(4000);
+  assert.ok(await noEvent(b, 'turnUpdate'));
+});
+
+test('a dropped player who never comes back forfeits once the seat expires', async () => {
+  const [a, b] = await Promise.all([player('Rex'), player('Sal')]);
+  await startMatch(a, b, QUICK);
+
+  const paused = nextEvent(b, 'match_paused');
+  a.close();
+  await paused;
+
+  const ended = nextEvent(b, 'game_end');
+  server.clock.advance(5000);
+  assert.strictEqual((await ended).winnerId, b.id);
+});
+
+//openTournament: host makes a single elimination cup, everyone in `entrants` signs up; resolves with its id
+async function openTournament(host, entrants) {
+  const created = nextEvent(host, 'tournamentState', state => state.tournaments.some(t => t.hostName === host.playerName && t.status === 'registering'));
+  host.emit('createTournament', { name: 'Cup', format: 'single', seeding: 'rating', ruleset: { bestOf: 1 } });
+  const tournamentId = (await created).tournaments.find(t => t.hostName === host.playerName && t.status === 'registering').id;
+  const joined = nextEvent(host, 'tournamentState', state => state.tournaments.find(t => t.id === tournamentId).entrants.length === entrants.length);
+  entrants.forEach(socket => socket.emit('joinTournament', { tournamentId }));
+  await joined;
+  return tournamentId;
+}
+
+//closeAndWait: closes `sockets` and resolves once `watcher` has seen them leave the lobby, so the server knows they're gone
+function closeAndWait(watcher, sockets) {
+  //The ids are read up front, since a closed socket forgets its own
+  const gone = sockets.map(({ id }) => nextEvent(watcher, 'lobbyPatch', patch => patch.ops.some(op => op.op === 'playerLeft' && op.id === id)));
+  sockets.forEach(socket => socket.close());
+  return Promise.all(gone);
+}
+
+//waitOutNoShow: runs the clock past the no-show limit. A minute is longer than the heartbeat timeout, so `host` checks in
+//as it goes (lobbyState says the heartbeat got there). Resolves with the tournament once it's finished
+async function waitOutNoShow(host, tournamentId) {
+  //Listening from the start, since the second it's settled in depends on where the once-a-second tick falls
+  const finished = nextEvent(host, 'tournamentState', state => state.tournaments.find(t => t.id === tournamentId).status === 'finished');
+  for (let waited = 0; waited < 60000; waited += 10000) {
+    const synced = nextEvent(host, 'lobbyState');
+    host.emit('heartbeat');
+    host.emit('lobbyResync');
+    await synced;
+    server.clock.advance(10000);
+  }
+  server.clock.advance(1000);
+  return (await finished).tournaments.find(t => t.id === tournamentId);
+}
+
+test('a tournament no-show is a forfeit, with the record and ratings to match', async () => {
+  const [a, b] = await Promise.all([player('Vic'), player('Wes')]);
+  const tournamentId = await openTournament(a, [a, b]);
+  await closeAndWait(a, [b]);
+  a.emit('startTournament', { tournamentId });
+
+  //Nothing is played, so Vic never sees a match; just a notice and the new record in the lobby
+  const told = nextEvent(a, 'chatNotice', notice => /didn't show up/.test(notice.text));
+  const credited = nextEvent(a, 'lobbyPatch', patch => patch.ops.some(op => op.op === 'playerUpdated' && op.player.id === a.id));
+  let sawMatch = false;
+  a.on('match_start', () => { sawMatch = true; });
+  const tournament = await waitOutNoShow(a, tournamentId);
+  assert.strictEqual(tournament.championId, a.account.profileId);
+  assert.strictEqual(tournament.bracket[0].reason, 'no_show');
+  await told;
+  const me = (await credited).ops.find(op => op.op === 'playerUpdated' && op.player.id === a.id).player;
+  assert.deepStrictEqual([me.totalWins, me.rating], [1, 1216]);
+  assert.ok(!sawMatch);
+
+  const back = await player('Wes', b.account.token);
+  assert.strictEqual(back.account.totalLosses, 1);
+  assert.strictEqual(back.account.rating, 1184);
+  const history = await getJson(`/api/players/${b.account.profileId}/matches`);
+  assert.strictEqual(history.body.matches.length, 1);
+});
+
+test('when nobody shows up the better seed goes through, with nobody\'s record touched', async () => {
+  const [host, a, b] = await Promise.all([player('Yan'), player('Zed'), player('Abe')]);
+  const tournamentId = await openTournament(host, [a, b]);
+  await closeAndWait(host, [a, b]);
+  host.emit('startTournament', { tournamentId });
+
+  const tournament = await waitOutNoShow(host, tournamentId);
+  assert.strictEqual(tournament.bracket[0].reason, 'no_show');
+  assert.ok([a.account.profileId, b.account.profileId].includes(tournament.championId));
+  for (const [name, socket] of [['Zed', a], ['Abe', b]]) {
+    const back = await player(name, socket.account.token);
+    assert.deepStrictEqual([back.account.totalWins, back.account.totalLosses, back.account.rating], [0, 0, 1200]);
+    assert.strictEqual((await getJson(`/api/players/${socket.account.profileId}/matches`)).body.matches.length, 0);
+  }
+});
+
+test('a muted player can\'t get around it by whispering', async () => {
+  const a = await player('Yul');
+  const b = await player('Zed');
+  const muted = nextEvent(a, 'moderation', event => event.action === 'muted');
+  for (let i = 0; i < 5; i++) a.emit('notAnEvent');
+  await muted;
+
+  const told = nextEvent(a, 'chatNotice', notice => /muted/.test(notice.text));
+  assert.ok(await noEvent(b, 'chatMessage', 200, () => a.emit('chatMessage', { channel: 'lobby', text: '/w Zed psst' })));
+  await told;
+});
+
+test('banned words are masked only as whole words', async () => {
+  const a = await player('Abe');
+  const b = await player('Bea');
+  const heard = nextEvent(b, 'chatMessage', message => message.fromName === 'Abe');
+  a.emit('chatMessage', { channel: 'lobby', text: 'Dickens wrote it, dick' });
+  assert.strictEqual((await heard).text, 'Dickens wrote it, ****');
+});
+
+test('admin actions only take JSON, so a cross-site form can\'t send them', async () => {
+  const a = await player('Xan');
+  const quiet = noEvent(a, 'announcement', 200);
+  const rejected = await postAdmin('announce', 'text=hello', 'application/x-www-form-urlencoded');
+  assert.deepStrictEqual(rejected, { status: 415, body: { error: 'json_only' } });
+  assert.ok(await quiet);
+
+  const announced = nextEvent(a, 'announcement');
+  assert.strictEqual((await postAdmin('announce', JSON.stringify({ text: 'hello' }))).status, 200);
+  assert.strictEqual((await announced).text, 'hello');
+});
+
+test('a player who stops sending heartbeats is disconnected', async () => {
+  const quiet = await player('Tam');
+  const dropped = nextEvent(quiet, 'disconnect');
+  server.clock.advance(15000);
+  await dropped;
+});
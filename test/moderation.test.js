@@ -0,0 +1,71 @@
+//Operator chat commands (see runChatCommand in server.js). OPERATOR_PROFILE_IDS is read once at startup, so the
+//operator's profile is written into the store before the server loads it
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer, connectPlayer, nextEvent } = require('./helpers');
+
+const OPERATOR = { profileId: 'op0000000001', token: 'a'.repeat(48), name: 'Warden' };
+
+let server;
+
+test.before(() => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rps-test-'));
+  fs.writeFileSync(path.join(dataDir, 'store.json'), JSON.stringify({
+    profiles: { [OPERATOR.profileId]: Object.assign({ preferredColor: '#ffffff', totalWins: 0, totalLosses: 0 }, OPERATOR) }
+  }));
+  return startTestServer({ DATA_DIR: dataDir, OPERATOR_PROFILE_IDS: OPERATOR.profileId, BOT_BACKFILL_MS: '0' })
+    .then(started => { server = started; });
+});
+test.after(() => server.stop());
+
+//operatorSays: runs one chat command as the operator and resolves with the notice it gets back
+function operatorSays(operator, text) {
+  const answered = nextEvent(operator, 'chatNotice');
+  operator.emit('chatMessage', { channel: 'lobby', text });
+  return answered.then(notice => notice.text);
+}
+
+test('operators can ban and mute players who have already left', async () => {
+  const operator = await connectPlayer(server.port, OPERATOR.name, OPERATOR.token);
+  const troll = await connectPlayer(server.port, 'Troll');
+  const spammer = await connectPlayer(server.port, 'Spammer');
+  //Socket ids go away on close, so note them first
+  const gone = Promise.all([troll.id, spammer.id].map(id => nextEvent(operator, 'lobbyPatch', patch =>
+    patch.ops.some(op => op.op === 'playerLeft' && op.id === id))));
+  troll.close();
+  spammer.close();
+  await gone;
+
+  assert.strictEqual(await operatorSays(operator, '/ban Troll'), 'Done: /ban Troll');
+  assert.strictEqual(await operatorSays(operator, '/mute Spammer 5'), 'Done: /mute Spammer');
+
+  //The ban is waiting for them at the door
+  const turnedAway = ioConnect(troll.account.token);
+  assert.strictEqual((await turnedAway).action, 'banned');
+
+  //And the mute comes back with them
+  const back = await connectPlayer(server.port, 'Spammer', spammer.account.token);
+  const told = nextEvent(back, 'chatNotice');
+  back.emit('chatMessage', { channel: 'lobby', text: 'hello again' });
+  assert.strictEqual((await told).text, 'You are muted right now.');
+
+  operator.close();
+  back.close();
+});
+
+//ioConnect: joins with a token that's expected to be turned away, and resolves with the moderation event instead
+function ioConnect(token) {
+  const socket = require('socket.io-client')(`http://localhost:${server.port}`, {
+    forceNew: true, transports: ['websocket'], reconnection: false
+  });
+  socket.playerName = 'Troll';
+  socket.on('connect', () => socket.emit('joinLobby', { name: 'Troll', token }));
+  return nextEvent(socket, 'moderation').then(event => {
+    socket.close();
+    return event;
+  });
+}
@@ -0,0 +1,73 @@
+//storage.js: both versions have to behave the same, so the same checks run against the in-memory one and the Redis one
+//(talking to redis-stand-in.js on a free port)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStorage, createRedisStorage } = require('../storage');
+const { startRedisStandIn } = require('../redis-stand-in');
+
+//redis is an optionalDependency, so the Redis half only runs where it got installed
+let hasRedisClient = true;
+try {
+  require.resolve('redis');
+} catch (err) {
+  hasRedisClient = false;
+}
+
+//checkStorage: every part of the interface, on a fresh storage
+async function checkStorage(storage) {
+  assert.strictEqual(await storage.get('missing'), null);
+  await storage.set('k', { a: 1, list: [1, 2] });
+  assert.deepStrictEqual(await storage.get('k'), { a: 1, list: [1, 2] });
+  await storage.del('k');
+  assert.strictEqual(await storage.get('k'), null);
+
+  await storage.replaceHash('h', { x: { n: 1 }, y: 'two' });
+  await storage.replaceHash('h', { z: 3 });
+  assert.deepStrictEqual(await storage.getHash('h'), { z: 3 });
+  assert.deepStrictEqual(await storage.getHash('no-hash'), {});
+  await storage.updateHash('h', { y: { n: 2 } }, ['z']);
+  await storage.updateHash('h', {}, ['missing']);
+  assert.deepStrictEqual(await storage.getHash('h'), { y: { n: 2 } });
+
+  await storage.replaceList('l', ['a', { b: 2 }]);
+  assert.deepStrictEqual(await storage.getList('l'), ['a', { b: 2 }]);
+  await storage.replaceList('l', []);
+  assert.deepStrictEqual(await storage.getList('l'), []);
+
+  assert.strictEqual(await storage.acquireLease('lease', 'one', 1000), true);
+  assert.strictEqual(await storage.acquireLease('lease', 'two', 1000), false);
+  assert.strictEqual(await storage.acquireLease('lease', 'one', 1000), true);
+
+  const received = [];
+  await storage.subscribe('chan', message => received.push(message));
+  await storage.publish('chan', { n: 1 });
+  await storage.publish('chan', { n: 2 });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepStrictEqual(received, [{ n: 1 }, { n: 2 }]);
+}
+
+test('memory storage', async () => {
+  const storage = createMemoryStorage();
+  await checkStorage(storage);
+  await storage.close();
+});
+
+test('redis storage against the stand-in', { skip: !hasRedisClient && 'redis is not installed' }, async () => {
+  const standIn = await startRedisStandIn(0);
+  const storage = createRedisStorage(`redis://localhost:${standIn.address().port}`);
+  try {
+    await checkStorage(storage);
+  } finally {
+    await storage.close();
+    await new Promise(resolve => standIn.close(resolve));
+  }
+});
+
+test('leases run out for everyone', async () => {
+  const storage = createMemoryStorage();
+  assert.strictEqual(await storage.acquireLease('lease', 'one', 20), true);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.strictEqual(await storage.acquireLease('lease', 'two', 20), true);
+  await storage.close();
+});